@@ -9,16 +9,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const speechRecognizer = new SpeechRecognizer();
     const diarization = new SpeakerDiarization();
     const exporter = new TranscriptExporter();
+    const liveTranscriber = new LiveTranscriber(audioProcessor, speechRecognizer, diarization);
     
     // UIエレメントの参照を取得
     const startButton = document.getElementById('start-button');
     const pauseButton = document.getElementById('pause-button');
     const stopButton = document.getElementById('stop-button');
+    const importButton = document.getElementById('import-button');
+    const importFileInput = document.getElementById('import-file');
     const statusText = document.getElementById('status');
     const recordingTime = document.getElementById('recording-time');
     const processingStatus = document.getElementById('processing-status');
     const progressValue = document.getElementById('progress-value');
+    const cancelTranscriptionButton = document.getElementById('cancel-transcription-button');
     const transcriptContent = document.getElementById('transcript-content');
+    const speakerLegend = document.getElementById('speaker-legend');
+    const transcriptInfo = document.getElementById('transcript-info');
+    const transcriptPlayerPanel = document.getElementById('transcript-player');
+    const skipBackButton = document.getElementById('skip-back-button');
+    const playbackRateSelect = document.getElementById('playback-rate');
     const themeSwitch = document.getElementById('theme-switch');
     const loadingOverlay = document.getElementById('loading-overlay');
     const loadingMessage = document.getElementById('loading-message');
@@ -28,6 +37,46 @@ document.addEventListener('DOMContentLoaded', () => {
     const exportMarkdown = document.getElementById('export-markdown');
     const exportCsv = document.getElementById('export-csv');
     const exportText = document.getElementById('export-text');
+    const exportSrt = document.getElementById('export-srt');
+    const exportVtt = document.getElementById('export-vtt');
+    const exportDocx = document.getElementById('export-docx');
+    const exportHtml = document.getElementById('export-html');
+    const exportRttm = document.getElementById('export-rttm');
+    const exportEaf = document.getElementById('export-eaf');
+    const exportTextGrid = document.getElementById('export-textgrid');
+    const exportJson = document.getElementById('export-json');
+    const exportJsonAudio = document.getElementById('export-json-audio');
+    
+    // 再処理・版の切り替え
+    const reprocessButton = document.getElementById('reprocess-button');
+    const translateButton = document.getElementById('translate-button');
+    const translationToggle = document.getElementById('translation-toggle');
+    const undoButton = document.getElementById('undo-button');
+    const redoButton = document.getElementById('redo-button');
+    const saveStatus = document.getElementById('save-status');
+    
+    // 話者の統合・変更
+    const speakerTools = document.getElementById('speaker-tools');
+    const mergeSourceSpeaker = document.getElementById('merge-source-speaker');
+    const mergeTargetSpeaker = document.getElementById('merge-target-speaker');
+    const mergeSpeakersButton = document.getElementById('merge-speakers-button');
+    const selectedSegmentCount = document.getElementById('selected-segment-count');
+    const assignTargetSpeaker = document.getElementById('assign-target-speaker');
+    const assignSpeakerButton = document.getElementById('assign-speaker-button');
+    const clipTarget = document.getElementById('clip-target');
+    const clipFormat = document.getElementById('clip-format');
+    const exportClipsButton = document.getElementById('export-clips-button');
+    const transcriptVersionSelect = document.getElementById('transcript-version');
+    const reprocessModal = document.getElementById('reprocess-modal');
+    const closeReprocessBtn = document.getElementById('close-reprocess');
+    const startReprocessBtn = document.getElementById('start-reprocess');
+    const cancelReprocessBtn = document.getElementById('cancel-reprocess');
+    const reprocessModel = document.getElementById('reprocess-model');
+    const reprocessMaxSpeakers = document.getElementById('reprocess-max-speakers');
+    
+    // 録音ライブラリ
+    const librarySelectAll = document.getElementById('library-select-all');
+    const libraryDeleteSelected = document.getElementById('library-delete-selected');
     
     // 設定関連
     const settingsButton = document.getElementById('settings-button');
@@ -36,37 +85,114 @@ document.addEventListener('DOMContentLoaded', () => {
     const saveSettingsBtn = document.getElementById('save-settings');
     const resetSettingsBtn = document.getElementById('reset-settings');
     const modelSelection = document.getElementById('model-selection');
+    const transcriptionLanguage = document.getElementById('transcription-language');
     const segmentDuration = document.getElementById('segment-duration');
     const maxSpeakers = document.getElementById('max-speakers');
+    const diarizationSeed = document.getElementById('diarization-seed');
+    const glossaryTerms = document.getElementById('glossary-terms');
+    const replacementRules = document.getElementById('replacement-rules');
+    const subtitleSpeakerLabel = document.getElementById('subtitle-speaker-label');
+    const subtitleMaxChars = document.getElementById('subtitle-max-chars');
+    const subtitleMaxDuration = document.getElementById('subtitle-max-duration');
+    const subtitleTranslation = document.getElementById('subtitle-translation');
+    const csvDelimiter = document.getElementById('csv-delimiter');
+    const csvEncoding = document.getElementById('csv-encoding');
+    const csvIncludeSegmentId = document.getElementById('csv-include-segment-id');
+    const csvIncludeSpeakerId = document.getElementById('csv-include-speaker-id');
+    const csvIncludeDuration = document.getElementById('csv-include-duration');
+    const minutesIncludeBookmarks = document.getElementById('minutes-include-bookmarks');
+    const minutesIncludeStatistics = document.getElementById('minutes-include-statistics');
     
     // 可視化
     const visualizer = new AudioVisualizer(document.getElementById('visualizer'));
     
+    // 文字起こし結果の編集
+    const editor = new TranscriptEditor(db);
+    
+    // 録音の再生
+    const player = new TranscriptPlayer(document.getElementById('audio-player'));
+    
+    // 録音ライブラリ
+    const library = new RecordingLibrary(document.getElementById('library-list'), db);
+    
+    // 話者名のデフォルト値
+    const defaultSpeakerNames = {
+        'A': '発話者A',
+        'B': '発話者B',
+        'C': '発話者C'
+    };
+    
+    // 話者ごとの色（最大話者数の10人まで互いに見分けやすい色を順に割り当てる）
+    const speakerPalette = [
+        '#4285f4', // 青
+        '#ea4335', // 赤
+        '#fbbc05', // 黄
+        '#34a853', // 緑
+        '#673ab7', // 紫
+        '#ff6d00', // オレンジ
+        '#00acc1', // 水色
+        '#e91e63', // ピンク
+        '#795548', // 茶
+        '#9e9d24'  // オリーブ
+    ];
+    const unknownSpeakerColor = '#9aa0a6'; // グレー
+    
+    // 文字起こしの言語の表示名（設定で選べる言語。旧形式の結果はWhisperの言語名で保存されている）
+    const languageNames = {
+        ja: '日本語',
+        en: '英語',
+        zh: '中国語',
+        ko: '韓国語',
+        de: 'ドイツ語',
+        fr: 'フランス語',
+        es: 'スペイン語',
+        japanese: '日本語'
+    };
+    
     // アプリの状態
     let appState = {
         isInitialized: false,
         isRecording: false,
         isPaused: false,
+        isImporting: false,
+        isFinalizing: false,    // 録音の停止後、残りの文字起こしと話者分離を行っている間
+        isReprocessing: false,
+        isTranslating: false,
+        showTranslation: true,  // 英訳がある場合に原文と並べて表示するかどうか
         isDarkTheme: false,
         currentRecordingId: null,
         recordingTimer: null,
         transcriptSegments: [], // 現在の文字起こし結果
-        speakerNames: {         // カスタム話者名
-            'A': '発話者A',
-            'B': '発話者B',
-            'C': '発話者C'
-        }
+        selectedSegments: new Set(), // 話者の変更のために選択されたセグメントのインデックス
+        transcriptMetadata: {}, // 現在の文字起こし結果の処理条件（モデルID、言語、話者分離の設定）
+        speakerNames: { ...defaultSpeakerNames }, // カスタム話者名
+        speakerColors: {}       // 話者ごとに指定された色（未指定の話者は既定の色）
     };
     
     // 設定のデフォルト値
     const defaultSettings = {
         modelId: 'whisper-tiny',
+        language: 'ja', // 言語コード、または'auto'（自動検出）
         segmentDuration: 30,
-        maxSpeakers: 3
+        maxSpeakers: 3,
+        diarizationSeed: null,
+        glossary: [],       // { term, reading }の配列
+        replacements: [],   // { pattern, replacement, regex, flags }の配列
+        subtitleSpeakerLabel: 'prefix',
+        subtitleMaxChars: 20,
+        subtitleMaxDuration: 6,
+        subtitleTranslation: 'none', // 'none' | 'append' | 'only'
+        csvDelimiter: 'comma',
+        csvEncoding: 'utf-8-bom',
+        csvIncludeSegmentId: false,
+        csvIncludeSpeakerId: false,
+        csvIncludeDuration: false,
+        minutesIncludeBookmarks: true,
+        minutesIncludeStatistics: true
     };
     
-    // 設定の取得と適用
-    let appSettings = loadSettings() || { ...defaultSettings };
+    // 設定の取得と適用（後から追加された設定項目は既定値で補う）
+    let appSettings = { ...defaultSettings, ...loadSettings() };
     applySettings(appSettings);
     
     /**
@@ -97,6 +223,9 @@ document.addEventListener('DOMContentLoaded', () => {
             // テーマの初期設定
             setupTheme();
             
+            // 保存された録音の一覧を表示
+            await library.refresh();
+            
             // 初期化完了
             appState.isInitialized = true;
             updateUIState();
@@ -117,12 +246,103 @@ document.addEventListener('DOMContentLoaded', () => {
         startButton.addEventListener('click', startRecording);
         pauseButton.addEventListener('click', togglePauseRecording);
         stopButton.addEventListener('click', stopRecording);
+        cancelTranscriptionButton.addEventListener('click', cancelTranscription);
+        
+        // ファイル読み込み
+        importButton.addEventListener('click', () => importFileInput.click());
+        importFileInput.addEventListener('change', () => {
+            if (importFileInput.files.length > 0) {
+                importFile(importFileInput.files[0]);
+            }
+            // 同じファイルを再度選択できるようにリセット
+            importFileInput.value = '';
+        });
+        
+        // 文字起こし領域へのドラッグ＆ドロップ
+        transcriptContent.addEventListener('dragover', handleDragOver);
+        transcriptContent.addEventListener('dragleave', handleDragLeave);
+        transcriptContent.addEventListener('drop', handleFileDrop);
+        
+        // 文字起こしエントリの操作（再生、編集、分割、結合）
+        transcriptContent.addEventListener('mousedown', (event) => {
+            // 編集中のテキストからフォーカスを外さずにボタンを押せるようにする
+            if (event.target.closest('[data-action]')) {
+                event.preventDefault();
+            }
+        });
+        transcriptContent.addEventListener('click', handleTranscriptEntryClick);
+        transcriptContent.addEventListener('change', handleTranscriptFieldChange);
+        transcriptContent.addEventListener('focusout', handleTranscriptTextBlur);
+        transcriptContent.addEventListener('keydown', handleTranscriptTextKeydown);
+        
+        // 元に戻す/やり直し
+        undoButton.addEventListener('click', () => editor.undo());
+        redoButton.addEventListener('click', () => editor.redo());
+        document.addEventListener('keydown', handleUndoShortcut);
+        editor.onChange = handleTranscriptEdited;
+        
+        // 話者の統合・変更
+        mergeSpeakersButton.addEventListener('click', () => {
+            mergeSpeakers(mergeSourceSpeaker.value, mergeTargetSpeaker.value);
+        });
+        assignSpeakerButton.addEventListener('click', () => {
+            const speaker = assignTargetSpeaker.value === 'new' ? createNewSpeakerId() : assignTargetSpeaker.value;
+            reassignSpeakers(Array.from(appState.selectedSegments), speaker);
+        });
+        exportClipsButton.addEventListener('click', exportAudioClips);
+        editor.onSaveStateChange = updateSaveStatus;
+        window.addEventListener('beforeunload', () => editor.flush());
+        
+        // 再生コントロール
+        skipBackButton.addEventListener('click', () => player.skipBack(5));
+        playbackRateSelect.addEventListener('change', () => {
+            player.setPlaybackRate(parseFloat(playbackRateSelect.value));
+        });
+        player.onActiveSegmentChange = highlightTranscriptEntry;
         
         // エクスポート関連
         copyButton.addEventListener('click', copyTranscriptToClipboard);
         exportMarkdown.addEventListener('click', () => exportTranscript('markdown'));
         exportCsv.addEventListener('click', () => exportTranscript('csv'));
         exportText.addEventListener('click', () => exportTranscript('text'));
+        exportSrt.addEventListener('click', () => exportTranscript('srt'));
+        exportVtt.addEventListener('click', () => exportTranscript('vtt'));
+        exportDocx.addEventListener('click', () => exportMinutes('docx'));
+        exportHtml.addEventListener('click', () => exportMinutes('html'));
+        exportRttm.addEventListener('click', () => exportAnnotation('rttm'));
+        exportEaf.addEventListener('click', () => exportAnnotation('eaf'));
+        exportTextGrid.addEventListener('click', () => exportAnnotation('textgrid'));
+        exportJson.addEventListener('click', () => exportSession(false));
+        exportJsonAudio.addEventListener('click', () => exportSession(true));
+        
+        // 再処理・版の切り替え
+        reprocessButton.addEventListener('click', openReprocessDialog);
+        translateButton.addEventListener('click', translateTranscript);
+        translationToggle.addEventListener('click', () => {
+            appState.showTranslation = !appState.showTranslation;
+            updateTranslationView();
+        });
+        closeReprocessBtn.addEventListener('click', closeReprocessDialog);
+        cancelReprocessBtn.addEventListener('click', closeReprocessDialog);
+        startReprocessBtn.addEventListener('click', startReprocess);
+        transcriptVersionSelect.addEventListener('change', handleTranscriptVersionChange);
+        
+        // 録音ライブラリ
+        library.onOpen = openRecording;
+        library.onDelete = handleRecordingsDeleted;
+        library.onSelectionChange = (selectedIds) => {
+            libraryDeleteSelected.disabled = selectedIds.length === 0;
+            librarySelectAll.checked = selectedIds.length > 0 && selectedIds.length === library.items.length;
+        };
+        librarySelectAll.addEventListener('change', () => library.selectAll(librarySelectAll.checked));
+        libraryDeleteSelected.addEventListener('click', async () => {
+            try {
+                await library.deleteSelected();
+            } catch (error) {
+                console.error('録音の削除に失敗しました:', error);
+                alert('録音の削除に失敗しました');
+            }
+        });
         
         // 設定関連
         settingsButton.addEventListener('click', openSettings);
@@ -133,9 +353,22 @@ document.addEventListener('DOMContentLoaded', () => {
         // テーマ切り替え
         themeSwitch.addEventListener('change', toggleTheme);
         
-        // 話者名カスタマイズ
-        document.querySelectorAll('.speaker-name').forEach(input => {
-            input.addEventListener('change', updateSpeakerName);
+        // 話者名・色のカスタマイズ（凡例は話者分離の結果に合わせて作り直される）
+        speakerLegend.addEventListener('change', (event) => {
+            if (event.target.classList.contains('speaker-name')) {
+                updateSpeakerName(event);
+            }
+        });
+        speakerLegend.addEventListener('input', (event) => {
+            if (event.target.classList.contains('speaker-color-input')) {
+                updateSpeakerColor(event);
+            }
+        });
+        speakerLegend.addEventListener('click', (event) => {
+            const resetButton = event.target.closest('.speaker-color-reset');
+            if (resetButton) {
+                resetSpeakerColor(resetButton.closest('.speaker-item').getAttribute('data-speaker'));
+            }
         });
         
         // ヘルプボタン
@@ -145,23 +378,48 @@ document.addEventListener('DOMContentLoaded', () => {
         window.addEventListener('click', (event) => {
             if (event.target === settingsModal) {
                 closeSettings();
+            } else if (event.target === reprocessModal) {
+                closeReprocessDialog();
             }
         });
         
+        // 録音中のセグメント単位の文字起こし
+        audioProcessor.onSegmentAvailable = (segment) => {
+            liveTranscriber.enqueue(segment);
+        };
+        
+        liveTranscriber.onSegmentTranscribed = handleLiveSegmentTranscribed;
+        
+        liveTranscriber.onError = (error) => {
+            processingStatus.textContent = `セグメント${error.index + 1}の文字起こしに失敗しました`;
+        };
+        
         // モデル読み込みイベント
         speechRecognizer.onModelLoad = handleModelLoadEvent;
         
-        // 文字起こしイベント
+        // 文字起こしイベント（英訳も同じイベントで通知されるが、英訳の後には話者分離を行わない）
         speechRecognizer.onTranscriptionStart = () => {
-            processingStatus.textContent = '文字起こし処理中...';
+            processingStatus.textContent = appState.isTranslating ? '英訳中...' : '文字起こし処理中...';
             progressValue.style.width = '10%';
         };
         
         speechRecognizer.onTranscriptionProgress = (progress) => {
-            progressValue.style.width = `${10 + progress.progress * 40}%`;
+            const label = appState.isTranslating ? '英訳中...' : '文字起こし処理中...';
+            progressValue.style.width = `${10 + progress.progress * (appState.isTranslating ? 85 : 40)}%`;
+            
+            // 確定したところまでの結果の末尾を表示
+            if (progress.text) {
+                processingStatus.textContent = `${label} ${progress.text.slice(-30)}`;
+            }
         };
         
         speechRecognizer.onTranscriptionComplete = (result) => {
+            if (appState.isTranslating) {
+                progressValue.style.width = '95%';
+                processingStatus.textContent = '英訳を発話に割り当て中...';
+                return;
+            }
+            
             progressValue.style.width = '50%';
             processingStatus.textContent = '話者分離処理中...';
         };
@@ -178,7 +436,8 @@ document.addEventListener('DOMContentLoaded', () => {
         };
         
         diarization.onProcessingComplete = (result) => {
-            processingStatus.textContent = '完了';
+            const { count, confidence } = result.speakers;
+            processingStatus.textContent = `完了（推定話者数: ${count}人、信頼度: ${Math.round(confidence * 100)}%）`;
             progressValue.style.width = '100%';
             
             // 結果を保存
@@ -199,7 +458,7 @@ document.addEventListener('DOMContentLoaded', () => {
      * 録音を開始
      */
     async function startRecording() {
-        if (appState.isRecording) return;
+        if (appState.isRecording || appState.isFinalizing) return;
         
         try {
             // AudioContext が停止している場合は再開
@@ -207,6 +466,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 await audioProcessor.audioContext.resume();
             }
             
+            // 再処理で別のモデルに切り替えていた場合は設定のモデルに戻す
+            await ensureModel(appSettings.modelId);
+            
+            // ライブ文字起こしの状態をリセット
+            liveTranscriber.reset(getTranscriptionOptions());
+            appState.transcriptSegments = [];
+            updateSpeakerLegend();
+            appState.transcriptMetadata = {};
+            resetSpeakerStyles();
+            editor.load(null, []);
+            updateTranscriptInfo();
+            transcriptVersionSelect.hidden = true;
+            hidePlayer();
+            transcriptContent.innerHTML = '<div class="no-transcript">録音中です。セグメントごとに文字起こし結果が表示されます</div>';
+            
             // 録音開始
             const recordingId = await audioProcessor.startRecording(appSettings.segmentDuration);
             if (!recordingId) {
@@ -218,6 +492,10 @@ document.addEventListener('DOMContentLoaded', () => {
             appState.isPaused = false;
             appState.currentRecordingId = recordingId;
             
+            // ライブラリに録音中のエントリを表示
+            await library.refresh();
+            library.setActiveRecording(recordingId);
+            
             // 録音時間の表示を開始
             startRecordingTimer();
             
@@ -227,9 +505,6 @@ document.addEventListener('DOMContentLoaded', () => {
             // UI状態を更新
             updateUIState();
             
-            // 音声特性をリセット
-            audioProcessor.resetAudioFeatures();
-            
         } catch (error) {
             console.error('録音の開始に失敗しました:', error);
             statusText.textContent = 'エラー: ' + error.message;
@@ -270,91 +545,1383 @@ document.addEventListener('DOMContentLoaded', () => {
             // 可視化を停止
             visualizer.stop();
             
-            // 録音を停止
+            // 録音を停止（最後のセグメントはライブ文字起こしのキューに入る）
+            const recordingId = appState.currentRecordingId;
             const audioBlob = await audioProcessor.stopRecording();
             
-            // アプリ状態を更新
+            // アプリ状態を更新（結果を保存するまでは他の処理を始められないようにする）
             appState.isRecording = false;
             appState.isPaused = false;
+            appState.isFinalizing = true;
             
             // UI状態を更新
             updateUIState();
             
-            // 文字起こし処理を開始
-            statusText.textContent = '処理中...';
-            processingStatus.textContent = 'モデル準備中...';
-            progressValue.style.width = '5%';
+            try {
+                // 残りのセグメントの文字起こしを待つ
+                processingStatus.textContent = '残りのセグメントを文字起こし中...';
+                progressValue.style.width = '5%';
+                
+                await liveTranscriber.flush();
+                
+                // 保存された録音データから音声特性を抽出
+                processingStatus.textContent = '音声特性を抽出中...';
+                const { audioFeatures } = await audioProcessor.analyzeAudioBlob(audioBlob, {
+                    onProgress: (progress) => {
+                        progressValue.style.width = `${5 + progress * 5}%`;
+                    }
+                });
+                
+                // セグメント境界を調整したセッション全体の文字起こし結果
+                const transcriptionResult = liveTranscriber.getTranscription();
+                
+                // セッション全体で話者分離を行い、暫定ラベルを確定させる
+                await diarizeAndSave(recordingId, audioFeatures, transcriptionResult);
+            } finally {
+                appState.isFinalizing = false;
+                updateUIState();
+            }
+            
+            // 処理完了
+            statusText.textContent = '準備完了';
+            
+        } catch (error) {
+            console.error('録音の停止または処理中にエラーが発生しました:', error);
+            statusText.textContent = 'エラー: ' + error.message;
+            processingStatus.textContent = 'エラーが発生しました';
+            progressValue.style.width = '0%';
+        }
+    }
+    
+    /**
+     * 読み込んだ音声・保存された録音を文字起こし（処理中は中止ボタンを表示）
+     * @param {Float32Array} pcm 16kHzモノラルの音声データ
+     * @param {string} task 'transcribe'（文字起こし）または'translate'（英訳）
+     * @returns {Promise<Object>} 文字起こし結果
+     */
+    async function transcribeAudio(pcm, task = 'transcribe') {
+        cancelTranscriptionButton.disabled = false;
+        cancelTranscriptionButton.hidden = false;
+        
+        try {
+            return task === 'translate'
+                ? await speechRecognizer.translate(pcm, getTranscriptionOptions())
+                : await speechRecognizer.transcribe(pcm, getTranscriptionOptions());
+        } finally {
+            cancelTranscriptionButton.hidden = true;
+        }
+    }
+    
+    /**
+     * 表示中の録音を英訳し、話者分離済みの各発話に英訳を付ける（元に戻すことができる）
+     */
+    async function translateTranscript() {
+        if (!isEditingAllowed() || appState.transcriptSegments.length === 0) return;
+        
+        const recordingId = appState.currentRecordingId;
+        appState.isTranslating = true;
+        updateUIState();
+        
+        try {
+            // 未保存の編集を保存してから処理する
+            await editor.flush();
+            
+            processingStatus.textContent = '録音データを読み込み中...';
+            progressValue.style.width = '2%';
+            
+            const audioBlob = await db.getRecordingAudio(recordingId);
+            if (!audioBlob) {
+                throw new Error('録音データが保存されていないため英訳できません');
+            }
+            
+            processingStatus.textContent = '録音データをデコード中...';
+            const { pcm } = await audioProcessor.decodeAudioBlob(audioBlob);
+            
+            const translationResult = await transcribeAudio(pcm, 'translate');
+            
+            // 英訳のチャンクを時間の重なりで各発話に割り当てる
+            appState.showTranslation = true;
+            editor.replaceSegments(speechRecognizer.alignTranslation(editor.getSegments(), translationResult.chunks));
+            
+            appState.isTranslating = false;
+            updateUIState();
+            processingStatus.textContent = '英訳が完了しました';
+            progressValue.style.width = '0%';
+            
+        } catch (error) {
+            appState.isTranslating = false;
+            updateUIState();
+            progressValue.style.width = '0%';
+            
+            if (error.name === 'AbortError') {
+                processingStatus.textContent = '英訳を中止しました';
+                return;
+            }
+            
+            console.error('英訳中にエラーが発生しました:', error);
+            statusText.textContent = 'エラー: ' + error.message;
+            processingStatus.textContent = 'エラーが発生しました';
+        }
+    }
+    
+    /**
+     * 英訳の表示切り替えボタンと、原文と英訳を並べた表示を更新
+     */
+    function updateTranslationView() {
+        const hasTranslation = appState.transcriptSegments.some(segment => segment.translation);
+        const visible = hasTranslation && appState.showTranslation;
+        
+        translationToggle.hidden = !hasTranslation;
+        translationToggle.classList.toggle('active', visible);
+        translationToggle.title = visible ? '英訳を隠す' : '英訳を原文と並べて表示';
+        transcriptContent.classList.toggle('show-translation', visible);
+    }
+    
+    /**
+     * 設定に応じた文字起こしのオプションを取得
+     * @returns {Object} SpeechRecognizer.transcribe()のオプション
+     */
+    function getTranscriptionOptions() {
+        return {
+            language: appSettings.language === 'auto' ? null : appSettings.language,
+            glossary: appSettings.glossary,
+            replacements: appSettings.replacements,
+            return_timestamps: 'word'
+        };
+    }
+    
+    /**
+     * 実行中の文字起こしを中止
+     */
+    async function cancelTranscription() {
+        cancelTranscriptionButton.disabled = true;
+        processingStatus.textContent = '文字起こしを中止しています...';
+        
+        await speechRecognizer.cancel();
+    }
+    
+    /**
+     * 話者分離を実行して結果をデータベースに新しい版として保存
+     * @param {number} recordingId 保存先の録音ID（処理の開始時に確定したもの）
+     * @param {Array} audioFeatures 音声特性データ
+     * @param {Object} transcriptionResult 文字起こし結果
+     * @returns {Promise<Object>} 話者分離の結果
+     */
+    async function diarizeAndSave(recordingId, audioFeatures, transcriptionResult) {
+        // 話者分離処理
+        const diarizationResult = await diarization.processDiarization(
+            audioFeatures, 
+            transcriptionResult
+        );
+        
+        // 文字起こし結果を処理条件とともにデータベースに保存
+        const metadata = {
+            modelId: speechRecognizer.getCurrentModelId(),
+            language: transcriptionResult.language || null,
+            languages: transcriptionResult.languages || [],
+            languageDetected: appSettings.language === 'auto',
+            maxSpeakers: diarization.maxSpeakers,
+            seed: diarizationResult.seed
+        };
+        await db.addTranscriptVersion(
+            recordingId,
+            diarizationResult.segments,
+            metadata,
+            transcriptionResult.chunks || []
+        );
+        
+        // 話者名・色と音声特性も録音と一緒に保存
+        await db.updateSpeakerNames(recordingId, appState.speakerNames);
+        await db.updateSpeakerColors(recordingId, appState.speakerColors);
+        await db.saveAudioFeatures(recordingId, audioFeatures);
+        
+        // 処理中に別の録音が表示された場合は、その表示を置き換えない
+        if (appState.currentRecordingId !== recordingId) {
+            await library.refresh();
+            return diarizationResult;
+        }
+        
+        appState.transcriptMetadata = metadata;
+        updateTranscriptInfo();
+        
+        // 保存した結果を編集できるようにする
+        loadTranscriptForEditing(diarizationResult.segments);
+        
+        await refreshTranscriptVersions();
+        
+        // ライブラリの表示を更新
+        await library.refresh();
+        library.setActiveRecording(recordingId);
+        
+        // 結果を聞き直せるように録音データを再生できるようにする
+        await loadPlayerAudio();
+        
+        return diarizationResult;
+    }
+    
+    /**
+     * 指定したモデルが読み込まれていなければ読み込む
+     * @param {string} modelId モデルID
+     */
+    async function ensureModel(modelId) {
+        if (speechRecognizer.getCurrentModelId() === modelId) {
+            return;
+        }
+        
+        showLoading('モデルを変更しています...');
+        try {
+            const modelInitialized = await speechRecognizer.initialize(modelId);
+            if (!modelInitialized) {
+                throw new Error('音声認識モデルの初期化に失敗しました');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+    
+    /**
+     * 再処理ダイアログを開く
+     */
+    function openReprocessDialog() {
+        if (!appState.currentRecordingId) return;
+        
+        // 表示中の結果の処理条件（なければ現在の設定）を初期値にする
+        const metadata = appState.transcriptMetadata;
+        reprocessModel.value = metadata.modelId || appSettings.modelId;
+        reprocessMaxSpeakers.value = metadata.maxSpeakers || appSettings.maxSpeakers;
+        
+        reprocessModal.style.display = 'block';
+    }
+    
+    /**
+     * 再処理ダイアログを閉じる
+     */
+    function closeReprocessDialog() {
+        reprocessModal.style.display = 'none';
+    }
+    
+    /**
+     * ダイアログで選択した条件で再処理を開始
+     */
+    function startReprocess() {
+        const options = {
+            modelId: reprocessModel.value,
+            maxSpeakers: parseInt(reprocessMaxSpeakers.value, 10) || appSettings.maxSpeakers
+        };
+        
+        closeReprocessDialog();
+        reprocessRecording(appState.currentRecordingId, options);
+    }
+    
+    /**
+     * 保存された録音を読み込んで文字起こしと話者分離をやり直す
+     * @param {number} recordingId 録音ID
+     * @param {Object} options 再処理の条件
+     * @param {string} options.modelId 音声認識モデルID
+     * @param {number} options.maxSpeakers 最大話者数
+     */
+    async function reprocessRecording(recordingId, options) {
+        if (appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isReprocessing || appState.isTranslating) return;
+        
+        appState.isReprocessing = true;
+        updateUIState();
+        
+        try {
+            statusText.textContent = '再処理中...';
+            processingStatus.textContent = '録音データを読み込み中...';
+            progressValue.style.width = '2%';
+            
+            const audioBlob = await db.getRecordingAudio(recordingId);
+            if (!audioBlob) {
+                throw new Error('録音データが保存されていません');
+            }
+            
+            // 選択されたモデルに切り替え
+            await ensureModel(options.modelId);
             
-            // 音声特性データを取得
-            const audioFeatures = audioProcessor.getAudioFeatures();
+            // Whisperの入力形式（16kHzモノラル）にデコード
+            // 音声特性が保存されていれば再利用し、なければ抽出する
+            const storedFeatures = await db.getAudioFeatures(recordingId);
+            let pcm, audioFeatures;
+            
+            if (storedFeatures && storedFeatures.length > 0) {
+                processingStatus.textContent = '録音データをデコード中...';
+                ({ pcm } = await audioProcessor.decodeAudioBlob(audioBlob));
+                audioFeatures = storedFeatures;
+            } else {
+                ({ pcm, audioFeatures } = await audioProcessor.analyzeAudioBlob(audioBlob, {
+                    onProgress: (progress) => {
+                        processingStatus.textContent = '音声特性を抽出中...';
+                        progressValue.style.width = `${2 + progress * 8}%`;
+                    }
+                }));
+            }
             
             // 文字起こし処理
-            const transcriptionResult = await speechRecognizer.transcribe(audioBlob, {
-                language: 'japanese',
-                return_timestamps: true
-            });
+            const transcriptionResult = await transcribeAudio(pcm);
+            
+            // 選択された最大話者数で話者分離を行い、新しい版として保存
+            diarization.setMaxSpeakers(options.maxSpeakers);
+            try {
+                await diarizeAndSave(recordingId, audioFeatures, transcriptionResult);
+            } finally {
+                diarization.setMaxSpeakers(appSettings.maxSpeakers);
+            }
+            
+            appState.isReprocessing = false;
+            updateUIState();
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                appState.isReprocessing = false;
+                updateUIState();
+                processingStatus.textContent = '文字起こしを中止しました';
+                progressValue.style.width = '0%';
+                return;
+            }
             
-            // 話者分離処理
-            const diarizationResult = await diarization.processDiarization(
-                audioFeatures, 
-                transcriptionResult
+            console.error('再処理中にエラーが発生しました:', error);
+            appState.isReprocessing = false;
+            updateUIState();
+            statusText.textContent = 'エラー: ' + error.message;
+            processingStatus.textContent = 'エラーが発生しました';
+            progressValue.style.width = '0%';
+        }
+    }
+    
+    /**
+     * ライブラリから選択された録音を開く
+     * @param {number} recordingId 録音ID
+     */
+    async function openRecording(recordingId) {
+        if (appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isReprocessing || appState.isTranslating) return;
+        
+        const recording = await db.getRecording(recordingId);
+        if (!recording) {
+            alert('録音が見つかりません');
+            return;
+        }
+        
+        const transcript = await db.getTranscript(recordingId);
+        
+        appState.currentRecordingId = recordingId;
+        
+        // 処理条件を復元（音声特性は大きいため、必要になる再処理のときに読み込む）
+        appState.transcriptMetadata = (transcript && transcript.metadata) || {};
+        updateTranscriptInfo();
+        
+        // 録音に保存された話者名を復元
+        appState.speakerNames = { ...defaultSpeakerNames, ...(recording.speakerNames || {}) };
+        appState.speakerColors = { ...(recording.speakerColors || {}) };
+        
+        if (transcript) {
+            loadTranscriptForEditing(transcript.segments);
+        } else {
+            loadTranscriptForEditing([]);
+            transcriptContent.innerHTML = '<div class="no-transcript">この録音には文字起こし結果がありません。「再処理」ボタンで文字起こしを行えます</div>';
+        }
+        
+        recordingTime.textContent = formatTime(recording.duration || 0);
+        
+        await loadPlayerAudio();
+        await refreshTranscriptVersions();
+        library.setActiveRecording(recordingId);
+        updateUIState();
+    }
+    
+    /**
+     * 話者名と話者の色を既定に戻す（新しい録音に前の録音の設定を引き継がないようにする）
+     */
+    function resetSpeakerStyles() {
+        appState.speakerNames = { ...defaultSpeakerNames };
+        appState.speakerColors = {};
+    }
+    
+    /**
+     * ライブラリで録音が削除されたときの処理
+     * @param {Array<number>} recordingIds 削除された録音ID
+     */
+    function handleRecordingsDeleted(recordingIds) {
+        if (!recordingIds.includes(appState.currentRecordingId)) return;
+        
+        // 表示中の録音が削除された場合は表示をクリア
+        appState.currentRecordingId = null;
+        appState.transcriptSegments = [];
+        updateSpeakerLegend();
+        appState.transcriptMetadata = {};
+        editor.load(null, []);
+        updateEditButtons();
+        updateTranscriptInfo();
+        transcriptContent.innerHTML = '<div class="no-transcript">録音を開始するか、音声・動画ファイルをここにドロップして文字起こしを行ってください</div>';
+        recordingTime.textContent = formatTime(0);
+        transcriptVersionSelect.hidden = true;
+        hidePlayer();
+        library.setActiveRecording(null);
+        updateUIState();
+    }
+    
+    /**
+     * 現在の録音の音声データをプレーヤーに読み込む
+     */
+    async function loadPlayerAudio() {
+        const audioBlob = appState.currentRecordingId
+            ? await db.getRecordingAudio(appState.currentRecordingId)
+            : null;
+        
+        if (!audioBlob) {
+            hidePlayer();
+            return;
+        }
+        
+        player.load(audioBlob);
+        player.setPlaybackRate(parseFloat(playbackRateSelect.value));
+        player.setSegments(appState.transcriptSegments);
+        transcriptPlayerPanel.hidden = false;
+    }
+    
+    /**
+     * プレーヤーを停止して非表示にする
+     */
+    function hidePlayer() {
+        player.unload();
+        transcriptPlayerPanel.hidden = true;
+    }
+    
+    /**
+     * 文字起こし結果を編集対象として読み込んで表示
+     * @param {Array} segments 文字起こしセグメント
+     */
+    function loadTranscriptForEditing(segments) {
+        editor.load(appState.currentRecordingId, segments);
+        appState.selectedSegments.clear();
+        appState.transcriptSegments = editor.getSegments();
+        renderTranscript(appState.transcriptSegments);
+        updateEditButtons();
+    }
+    
+    /**
+     * 編集によって文字起こし結果が変わったときの処理
+     * @param {Array} segments 編集後のセグメント
+     */
+    function handleTranscriptEdited(segments) {
+        // セグメントの並びが変わるため選択は解除する
+        appState.transcriptSegments = segments;
+        appState.selectedSegments.clear();
+        renderTranscript(segments, { preserveScroll: true });
+        updateEditButtons();
+    }
+    
+    /**
+     * 現在の文字起こし結果を編集できる状態かどうか
+     * @returns {boolean}
+     */
+    function isEditingAllowed() {
+        const isBusy = appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isReprocessing || appState.isTranslating;
+        return !isBusy && appState.currentRecordingId !== null && editor.recordingId === appState.currentRecordingId;
+    }
+    
+    /**
+     * 元に戻す/やり直しボタンの状態を更新
+     */
+    function updateEditButtons() {
+        const allowed = isEditingAllowed();
+        undoButton.disabled = !allowed || !editor.canUndo();
+        redoButton.disabled = !allowed || !editor.canRedo();
+        
+        updateSpeakerTools();
+    }
+    
+    /**
+     * 話者の統合・変更の操作欄を更新
+     */
+    function updateSpeakerTools() {
+        const allowed = isEditingAllowed() && appState.transcriptSegments.length > 0;
+        speakerTools.hidden = !allowed;
+        if (!allowed) return;
+        
+        // 統合元は実際に発話のある話者、統合先・変更先は選択肢にあるすべての話者
+        const usedIds = getSpeakerIds().filter(id => appState.transcriptSegments.some(s => s.speaker === id));
+        const createOptions = (ids, selectedId) => ids.map(id => {
+            const name = appState.speakerNames[id] || `発話者${id}`;
+            const selected = id === selectedId ? ' selected' : '';
+            return `<option value="${id}"${selected}>${escapeHtml(name)}</option>`;
+        }).join('');
+        
+        mergeSourceSpeaker.innerHTML = createOptions(usedIds, mergeSourceSpeaker.value || usedIds[1]);
+        mergeTargetSpeaker.innerHTML = createOptions(getSpeakerIds(), mergeTargetSpeaker.value || usedIds[0]);
+        mergeSpeakersButton.disabled = usedIds.length < 2;
+        
+        const assignValue = assignTargetSpeaker.value;
+        assignTargetSpeaker.innerHTML = createOptions(getSpeakerIds(), assignValue) +
+            `<option value="new"${assignValue === 'new' ? ' selected' : ''}>新しい話者</option>`;
+        
+        selectedSegmentCount.textContent = appState.selectedSegments.size;
+        assignSpeakerButton.disabled = appState.selectedSegments.size === 0;
+        
+        // 音声の書き出しは選択した発話か、話者ごとのすべての発話
+        const clipValue = clipTarget.value;
+        clipTarget.innerHTML = `<option value="selected">選択した発話（${appState.selectedSegments.size}件）</option>` +
+            usedIds.map(id => {
+                const name = appState.speakerNames[id] || `発話者${id}`;
+                const value = `speaker:${id}`;
+                const selected = value === clipValue ? ' selected' : '';
+                return `<option value="${escapeHtml(value)}"${selected}>${escapeHtml(name)}の全発話</option>`;
+            }).join('');
+    }
+    
+    /**
+     * 選択した発話または話者の全発話の音声を録音データから切り出して書き出す
+     */
+    async function exportAudioClips() {
+        const target = clipTarget.value;
+        const segments = target === 'selected'
+            ? appState.transcriptSegments.filter((_, index) => appState.selectedSegments.has(index))
+            : appState.transcriptSegments.filter(segment => `speaker:${segment.speaker}` === target);
+        
+        if (segments.length === 0) {
+            alert('書き出す発話を選択してください');
+            return;
+        }
+        
+        exportClipsButton.disabled = true;
+        try {
+            const recording = await db.getRecording(appState.currentRecordingId);
+            const audioBlob = await db.getRecordingAudio(appState.currentRecordingId);
+            if (!audioBlob) {
+                throw new Error('録音データが保存されていません');
+            }
+            
+            processingStatus.textContent = '音声を切り出し中...';
+            
+            // 録音時のサンプリングレートでデコードし、書き出す発話の範囲だけを取り出す
+            // （取り込んだファイルなどでサンプリングレートが不明な場合はCD音質とする）
+            const { clips, sampleRate } = await audioProcessor.decodeAudioRanges(
+                audioBlob,
+                segments,
+                (recording && recording.sampleRate) || 44100
             );
+            const mode = clipFormat.value;
+            const blob = await exporter.exportAudioClips(clips, sampleRate, segments, {
+                mode,
+                speakerNames: appState.speakerNames
+            });
             
-            // 文字起こし結果をデータベースに保存
-            await db.saveTranscript(appState.currentRecordingId, diarizationResult.segments);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+            exporter.downloadFile(blob, `clips_${timestamp}.${mode === 'zip' ? 'zip' : 'wav'}`, blob.type);
+            processingStatus.textContent = `${segments.length}件の発話の音声を書き出しました`;
             
-            // 処理完了
-            statusText.textContent = '準備完了';
+        } catch (error) {
+            console.error('音声の書き出しに失敗しました:', error);
+            processingStatus.textContent = '';
+            alert('音声の書き出しに失敗しました: ' + error.message);
+        } finally {
+            exportClipsButton.disabled = false;
+        }
+    }
+    
+    /**
+     * 話者の変更を適用し、連続する同じ話者の発話を話者分離と同じ規則でまとめ直す
+     * @param {Function} transform セグメントの配列（コピー）を受け取り変更後の配列を返す関数
+     */
+    function applySpeakerEdit(transform) {
+        runEditOperation(() => {
+            const segments = transform(appState.transcriptSegments.map(segment => ({ ...segment })));
+            editor.replaceSegments(diarization.optimizeSegments(segments));
+        });
+    }
+    
+    /**
+     * 指定したセグメントの話者を変更
+     * @param {Array<number>} indices セグメントのインデックス
+     * @param {string} speaker 変更後の話者ID
+     */
+    function reassignSpeakers(indices, speaker) {
+        if (indices.length === 0) return;
+        
+        if (!appState.speakerNames[speaker]) {
+            assignDistinctSpeakerColor(speaker);
+            appState.speakerNames[speaker] = `発話者${speaker}`;
+            saveSpeakerNames();
+        }
+        
+        applySpeakerEdit(segments => {
+            indices.forEach(index => {
+                segments[index].speaker = speaker;
+            });
+            return segments;
+        });
+    }
+    
+    /**
+     * 話者を統合（統合元の発話をすべて統合先の話者にする）
+     * @param {string} source 統合元の話者ID
+     * @param {string} target 統合先の話者ID
+     */
+    function mergeSpeakers(source, target) {
+        if (!source || !target || source === target) {
+            alert('統合元と統合先に異なる話者を選択してください');
+            return;
+        }
+        
+        const sourceName = appState.speakerNames[source] || `発話者${source}`;
+        const targetName = appState.speakerNames[target] || `発話者${target}`;
+        if (!confirm(`「${sourceName}」の発話をすべて「${targetName}」にまとめますか？`)) {
+            return;
+        }
+        
+        applySpeakerEdit(segments => segments.map(segment => (
+            segment.speaker === source ? { ...segment, speaker: target } : segment
+        )));
+    }
+    
+    /**
+     * まだ使われていない話者IDを作成（A, B, C...の次の文字）
+     * @returns {string}
+     */
+    function createNewSpeakerId() {
+        const usedIds = new Set(getSpeakerIds());
+        
+        for (let code = 'A'.charCodeAt(0); code <= 'Z'.charCodeAt(0); code++) {
+            const id = String.fromCharCode(code);
+            if (!usedIds.has(id)) {
+                return id;
+            }
+        }
+        
+        return `S${usedIds.size + 1}`;
+    }
+    
+    /**
+     * 新しい話者の既定の色がほかの話者と同じ場合は、使われていない色を割り当てる
+     * （パレットの色がすべて使われている場合は色相をずらして作る）
+     * @param {string} speakerId 新しい話者ID
+     */
+    function assignDistinctSpeakerColor(speakerId) {
+        const usedColors = new Set(getSpeakerIds()
+            .filter(id => id !== speakerId && id !== 'Unknown')
+            .map(id => getSpeakerColor(id).toLowerCase()));
+        
+        if (!usedColors.has(getSpeakerColor(speakerId).toLowerCase())) return;
+        
+        let color = speakerPalette.find(candidate => !usedColors.has(candidate));
+        for (let i = 0; !color; i++) {
+            // 黄金角ずつ色相をずらすと、隣り合う色が似にくい
+            const candidate = hslToHex((i * 137.508) % 360, 65, 45);
+            if (!usedColors.has(candidate)) {
+                color = candidate;
+            }
+        }
+        
+        appState.speakerColors[speakerId] = color;
+        handleSpeakerColorsChanged();
+    }
+    
+    /**
+     * HSLの色をカラーコード（#RRGGBB）に変換
+     * @param {number} hue 色相（0-360）
+     * @param {number} saturation 彩度（0-100）
+     * @param {number} lightness 明度（0-100）
+     * @returns {string}
+     */
+    function hslToHex(hue, saturation, lightness) {
+        const s = saturation / 100;
+        const l = lightness / 100;
+        const a = s * Math.min(l, 1 - l);
+        const channel = n => {
+            const k = (n + hue / 30) % 12;
+            const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        
+        return `#${channel(0)}${channel(8)}${channel(4)}`;
+    }
+    
+    /**
+     * 自動保存の状態を表示
+     * @param {string} state 'pending' | 'saving' | 'saved' | 'error'
+     */
+    function updateSaveStatus(state) {
+        const labels = {
+            pending: '未保存の変更があります',
+            saving: '保存中...',
+            saved: '保存しました',
+            error: '保存に失敗しました'
+        };
+        
+        saveStatus.textContent = labels[state] || '';
+        saveStatus.classList.toggle('error', state === 'error');
+        
+        // ライブラリの話者数などを更新
+        if (state === 'saved') {
+            library.refresh().catch(error => {
+                console.error('録音ライブラリの更新に失敗しました:', error);
+            });
+        }
+    }
+    
+    /**
+     * 編集操作を実行し、不正な入力であればメッセージを表示して元の表示に戻す
+     * @param {Function} operation 編集操作
+     */
+    function runEditOperation(operation) {
+        if (!isEditingAllowed()) {
+            renderTranscript(appState.transcriptSegments, { preserveScroll: true });
+            return;
+        }
+        
+        try {
+            operation();
+        } catch (error) {
+            alert(error.message);
+            renderTranscript(appState.transcriptSegments, { preserveScroll: true });
+        }
+    }
+    
+    /**
+     * 文字起こしエントリ内のボタンのクリックを処理
+     * @param {MouseEvent} event 
+     */
+    function handleTranscriptEntryClick(event) {
+        const button = event.target.closest('[data-action]');
+        const entry = event.target.closest('.transcript-entry[data-index]');
+        if (!button || !entry) return;
+        
+        const index = parseInt(entry.getAttribute('data-index'), 10);
+        const segment = appState.transcriptSegments[index];
+        if (!segment) return;
+        
+        const action = button.getAttribute('data-action');
+        
+        if (action === 'play') {
+            player.playFrom(segment.start);
+            return;
+        }
+        
+        if (action === 'bookmark') {
+            runEditOperation(() => {
+                editor.updateSegment(index, { bookmarked: !segment.bookmarked });
+            });
+            return;
+        }
+        
+        // 分割位置は編集中のテキストのカーソル位置から取得
+        const textElement = entry.querySelector('.transcript-text');
+        const caretOffset = getCaretOffset(textElement);
+        const editedText = textElement.textContent.trim();
+        
+        runEditOperation(() => {
+            // 編集中のテキストを先に確定
+            if (textElement.isContentEditable && editedText !== segment.text) {
+                editor.updateSegment(index, { text: editedText });
+            }
             
+            if (action === 'split') {
+                if (caretOffset === null) {
+                    throw new Error('分割する位置のテキストにカーソルを置いてください');
+                }
+                editor.splitSegment(index, caretOffset);
+            } else if (action === 'merge') {
+                editor.mergeWithNext(index);
+            }
+        });
+    }
+    
+    /**
+     * 話者・時間の入力欄の変更を処理
+     * @param {Event} event 
+     */
+    function handleTranscriptFieldChange(event) {
+        const field = event.target.getAttribute('data-field');
+        const entry = event.target.closest('.transcript-entry[data-index]');
+        if (!field || !entry) return;
+        
+        const index = parseInt(entry.getAttribute('data-index'), 10);
+        
+        // 話者の変更のための選択
+        if (field === 'select') {
+            if (event.target.checked) {
+                appState.selectedSegments.add(index);
+            } else {
+                appState.selectedSegments.delete(index);
+            }
+            updateSpeakerTools();
+            return;
+        }
+        
+        // 話者の変更は前後の発話とのまとめ直しも行う
+        if (field === 'speaker') {
+            reassignSpeakers([index], event.target.value);
+            return;
+        }
+        
+        runEditOperation(() => {
+            if (field === 'start' || field === 'end') {
+                editor.updateSegment(index, { [field]: parseTime(event.target.value) });
+            }
+        });
+    }
+    
+    /**
+     * テキストの編集が終わったときに変更を確定
+     * @param {FocusEvent} event 
+     */
+    function handleTranscriptTextBlur(event) {
+        const textElement = event.target;
+        if (!textElement.classList || !textElement.classList.contains('transcript-text') || !textElement.isContentEditable) return;
+        
+        // 再描画で取り除かれた要素は対象外
+        if (!transcriptContent.contains(textElement)) return;
+        
+        const entry = textElement.closest('.transcript-entry[data-index]');
+        const index = parseInt(entry.getAttribute('data-index'), 10);
+        const segment = appState.transcriptSegments[index];
+        const field = textElement.getAttribute('data-field') === 'translation' ? 'translation' : 'text';
+        const text = textElement.textContent.trim();
+        
+        if (!segment || text === (segment[field] || '')) return;
+        
+        runEditOperation(() => {
+            // 英訳は空にしてもよい
+            if (text === '' && field === 'text') {
+                throw new Error('テキストを空にすることはできません（不要な発話は次の発話と結合してください）');
+            }
+            editor.updateSegment(index, { [field]: text });
+        });
+    }
+    
+    /**
+     * テキスト編集中のキー操作（Enterで確定、Escapeで取り消し）
+     * @param {KeyboardEvent} event 
+     */
+    function handleTranscriptTextKeydown(event) {
+        const textElement = event.target;
+        if (!textElement.classList || !textElement.classList.contains('transcript-text')) return;
+        
+        if (event.key === 'Enter' && !event.isComposing) {
+            event.preventDefault();
+            textElement.blur();
+        } else if (event.key === 'Escape') {
+            const index = parseInt(textElement.closest('.transcript-entry').getAttribute('data-index'), 10);
+            const field = textElement.getAttribute('data-field') === 'translation' ? 'translation' : 'text';
+            textElement.textContent = appState.transcriptSegments[index][field] || '';
+            textElement.blur();
+        }
+    }
+    
+    /**
+     * Ctrl+Z / Ctrl+Y（Ctrl+Shift+Z）で元に戻す/やり直し
+     * 入力欄の編集中はブラウザ標準の操作を優先する
+     * @param {KeyboardEvent} event 
+     */
+    function handleUndoShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || !isEditingAllowed()) return;
+        
+        const target = event.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            editor.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            editor.redo();
+        }
+    }
+    
+    /**
+     * 要素内のカーソル位置（文字数）を取得
+     * @param {HTMLElement} element 
+     * @returns {number|null} カーソルが要素内になければnull
+     */
+    function getCaretOffset(element) {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+        
+        const range = selection.getRangeAt(0);
+        if (!element.contains(range.startContainer)) return null;
+        
+        const preRange = range.cloneRange();
+        preRange.selectNodeContents(element);
+        preRange.setEnd(range.startContainer, range.startOffset);
+        
+        // 先頭の空白は保存時に取り除かれているため数えない
+        return preRange.toString().replace(/^\s+/, '').length;
+    }
+    
+    /**
+     * 再生中のエントリを強調表示し、見える位置までスクロール
+     * @param {number} index 再生中のセグメントのインデックス（該当なしは-1）
+     */
+    function highlightTranscriptEntry(index) {
+        transcriptContent.querySelectorAll('.transcript-entry.playing').forEach(entry => {
+            entry.classList.remove('playing');
+        });
+        
+        if (index < 0) return;
+        
+        const entry = transcriptContent.querySelector(`.transcript-entry[data-index="${index}"]`);
+        if (!entry) return;
+        
+        entry.classList.add('playing');
+        
+        // 表示範囲の外にあれば上から1/3の位置までスクロール
+        const top = entry.offsetTop;
+        const bottom = top + entry.offsetHeight;
+        const viewTop = transcriptContent.scrollTop;
+        const viewBottom = viewTop + transcriptContent.clientHeight;
+        
+        if (top < viewTop || bottom > viewBottom) {
+            transcriptContent.scrollTo({
+                top: Math.max(0, top - transcriptContent.clientHeight / 3),
+                behavior: 'smooth'
+            });
+        }
+    }
+    
+    /**
+     * 現在の録音の文字起こし結果の版を選択肢に反映
+     */
+    async function refreshTranscriptVersions() {
+        const recordingId = appState.currentRecordingId;
+        const versions = recordingId ? await db.getTranscriptVersions(recordingId) : [];
+        const transcript = recordingId ? await db.getTranscript(recordingId) : null;
+        
+        // 版が1つしかなければ切り替えは不要
+        if (versions.length < 2) {
+            transcriptVersionSelect.hidden = true;
+            transcriptVersionSelect.innerHTML = '';
+            return;
+        }
+        
+        transcriptVersionSelect.innerHTML = versions.map(v => {
+            const selected = transcript && transcript.version === v.version ? ' selected' : '';
+            return `<option value="${v.version}"${selected}>${formatVersionLabel(v)}</option>`;
+        }).join('');
+        transcriptVersionSelect.hidden = false;
+    }
+    
+    /**
+     * 表示中の文字起こし結果の処理条件を表示
+     */
+    function updateTranscriptInfo() {
+        const metadata = appState.transcriptMetadata;
+        const items = [];
+        
+        if (metadata.modelId) {
+            items.push(`モデル: ${metadata.modelId}`);
+        }
+        if (metadata.language) {
+            // 複数の言語が検出された場合は発話時間の長い順にすべて表示
+            const languages = metadata.languages && metadata.languages.length > 1
+                ? metadata.languages
+                : [metadata.language];
+            const detected = metadata.languageDetected ? '（自動検出）' : '';
+            items.push(`言語: ${languages.map(formatLanguage).join('・')}${detected}`);
+        }
+        if (metadata.maxSpeakers) {
+            items.push(`最大話者数: ${metadata.maxSpeakers}`);
+        }
+        if (metadata.seed !== undefined && metadata.seed !== null) {
+            items.push(`乱数シード: ${metadata.seed}`);
+        }
+        
+        transcriptInfo.textContent = items.join(' / ');
+        transcriptInfo.hidden = items.length === 0;
+    }
+    
+    /**
+     * 版の選択肢に表示する名前を生成
+     * @param {Object} version 文字起こし結果の版
+     * @returns {string}
+     */
+    function formatVersionLabel(version) {
+        const metadata = version.metadata || {};
+        const conditions = [];
+        
+        if (metadata.modelId) {
+            conditions.push(metadata.modelId);
+        }
+        if (metadata.language) {
+            conditions.push(metadata.languageDetected ? '言語自動検出' : formatLanguage(metadata.language));
+        }
+        if (metadata.maxSpeakers) {
+            conditions.push(`最大${metadata.maxSpeakers}人`);
+        }
+        
+        const createdAt = new Date(version.createdAt).toLocaleString('ja-JP');
+        const detail = conditions.length > 0 ? `${conditions.join('・')}、${createdAt}` : createdAt;
+        
+        return `版${version.version}（${detail}）`;
+    }
+    
+    /**
+     * 選択された版の文字起こし結果に切り替える
+     */
+    async function handleTranscriptVersionChange() {
+        const version = parseInt(transcriptVersionSelect.value, 10);
+        
+        try {
+            // 表示中の版の未保存の編集を保存してから切り替える
+            await editor.flush();
+            
+            const selected = await db.setCurrentTranscriptVersion(appState.currentRecordingId, version);
+            if (selected) {
+                appState.transcriptMetadata = selected.metadata || {};
+                updateTranscriptInfo();
+                loadTranscriptForEditing(selected.segments);
+            }
         } catch (error) {
-            console.error('録音の停止または処理中にエラーが発生しました:', error);
+            console.error('文字起こし結果の版の切り替えに失敗しました:', error);
+            alert('文字起こし結果の版の切り替えに失敗しました');
+        }
+    }
+    
+    /**
+     * 読み込んだファイルの種類に応じて処理を振り分ける
+     * @param {File} file 読み込むファイル
+     */
+    function importFile(file) {
+        if (isSessionFile(file)) {
+            importSessionFile(file);
+        } else {
+            importAudioFile(file);
+        }
+    }
+    
+    /**
+     * 音声・動画ファイルを読み込んで文字起こしと話者分離を実行
+     * @param {File} file 読み込むファイル
+     */
+    async function importAudioFile(file) {
+        if (appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isTranslating) return;
+        
+        if (!isSupportedMediaFile(file)) {
+            alert('対応していないファイル形式です（webm, mp3, m4a, wav, mp4などの音声・動画ファイルか、書き出したJSONファイルを選択してください）');
+            return;
+        }
+        
+        appState.isImporting = true;
+        updateUIState();
+        
+        try {
+            statusText.textContent = 'ファイルを処理中...';
+            processingStatus.textContent = 'ファイルをデコード中...';
+            progressValue.style.width = '2%';
+            
+            // 設定のモデルで処理する
+            await ensureModel(appSettings.modelId);
+            
+            // 録音エントリを作成
+            const recordingId = await db.createRecording(file.name);
+            appState.currentRecordingId = recordingId;
+            appState.transcriptSegments = [];
+            updateSpeakerLegend();
+            appState.transcriptMetadata = {};
+            resetSpeakerStyles();
+            editor.load(null, []);
+            updateTranscriptInfo();
+            transcriptVersionSelect.hidden = true;
+            hidePlayer();
+            
+            // Whisperの入力形式（16kHzモノラル）にデコードし、録音時と同じ形式の音声特性を抽出
+            const { pcm, duration, audioFeatures } = await audioProcessor.analyzeAudioBlob(file, {
+                onProgress: (progress) => {
+                    processingStatus.textContent = '音声特性を抽出中...';
+                    progressValue.style.width = `${2 + progress * 8}%`;
+                }
+            });
+            await db.updateRecordingBlob(recordingId, file, duration);
+            
+            // 文字起こし処理
+            const transcriptionResult = await transcribeAudio(pcm);
+            
+            // 話者分離処理と保存
+            await diarizeAndSave(recordingId, audioFeatures, transcriptionResult);
+            
+            appState.isImporting = false;
+            updateUIState();
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // 読み込んだ音声は文字起こしなしの録音として残す（再処理で文字起こしできる）
+                appState.isImporting = false;
+                updateUIState();
+                processingStatus.textContent = '文字起こしを中止しました';
+                progressValue.style.width = '0%';
+                await library.refresh();
+                library.setActiveRecording(appState.currentRecordingId);
+                return;
+            }
+            
+            console.error('ファイルの処理中にエラーが発生しました:', error);
+            appState.isImporting = false;
+            updateUIState();
             statusText.textContent = 'エラー: ' + error.message;
             processingStatus.textContent = 'エラーが発生しました';
             progressValue.style.width = '0%';
         }
     }
     
+    /**
+     * JSON形式でエクスポートしたセッションを新しい録音として読み込む
+     * @param {File} file JSONファイル
+     */
+    async function importSessionFile(file) {
+        if (appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isReprocessing || appState.isTranslating) return;
+        
+        appState.isImporting = true;
+        updateUIState();
+        
+        try {
+            statusText.textContent = 'セッションを読み込み中...';
+            
+            const session = exporter.parseSessionJSON(await file.text());
+            const recordingId = await db.importRecording(session);
+            
+            await library.refresh();
+            
+            appState.isImporting = false;
+            updateUIState();
+            statusText.textContent = '準備完了';
+            
+            await openRecording(recordingId);
+            
+        } catch (error) {
+            console.error('セッションの読み込み中にエラーが発生しました:', error);
+            appState.isImporting = false;
+            updateUIState();
+            statusText.textContent = 'エラー: ' + error.message;
+        }
+    }
+    
+    /**
+     * JSON形式のセッションファイルかどうかを判定
+     * @param {File} file 
+     * @returns {boolean}
+     */
+    function isSessionFile(file) {
+        return file.type === 'application/json' || /\.json$/i.test(file.name);
+    }
+    
+    /**
+     * 読み込み可能な音声・動画ファイルかどうかを判定
+     * @param {File} file 
+     * @returns {boolean}
+     */
+    function isSupportedMediaFile(file) {
+        if (file.type.startsWith('audio/') || file.type.startsWith('video/')) {
+            return true;
+        }
+        
+        // MIMEタイプが取得できない環境向けに拡張子でも判定
+        return /\.(webm|mp3|m4a|wav|mp4|ogg|aac|flac)$/i.test(file.name);
+    }
+    
+    /**
+     * ドラッグ中のファイルが文字起こし領域に重なったときの処理
+     * @param {DragEvent} event 
+     */
+    function handleDragOver(event) {
+        event.preventDefault();
+        
+        if (!appState.isRecording && !appState.isImporting && !appState.isFinalizing) {
+            event.dataTransfer.dropEffect = 'copy';
+            transcriptContent.classList.add('drag-over');
+        } else {
+            event.dataTransfer.dropEffect = 'none';
+        }
+    }
+    
+    /**
+     * ドラッグ中のファイルが文字起こし領域から離れたときの処理
+     */
+    function handleDragLeave() {
+        transcriptContent.classList.remove('drag-over');
+    }
+    
+    /**
+     * 文字起こし領域にファイルがドロップされたときの処理
+     * @param {DragEvent} event 
+     */
+    function handleFileDrop(event) {
+        event.preventDefault();
+        transcriptContent.classList.remove('drag-over');
+        
+        const files = event.dataTransfer.files;
+        if (files.length > 0) {
+            importFile(files[0]);
+        }
+    }
+    
+    /**
+     * 録音中のセグメントの文字起こし完了時の処理
+     * @param {Object} result LiveTranscriberのセグメント結果
+     */
+    function handleLiveSegmentTranscribed(result) {
+        processingStatus.textContent = `ライブ文字起こし: ${formatTime(result.endTime)}まで完了`;
+        progressValue.style.width = '0%';
+        
+        if (result.segments.length === 0) {
+            return;
+        }
+        
+        // 最初の結果であればプレースホルダーを消す
+        if (appState.transcriptSegments.length === 0) {
+            transcriptContent.innerHTML = '';
+        }
+        
+        const startIndex = appState.transcriptSegments.length;
+        appState.transcriptSegments = appState.transcriptSegments.concat(result.segments);
+        appendTranscriptEntries(result.segments, startIndex);
+    }
+    
     /**
      * 文字起こし結果をUIに表示
      * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @param {boolean} options.preserveScroll スクロール位置を保つ（編集時など）
      */
-    function renderTranscript(segments) {
+    function renderTranscript(segments, options = {}) {
+        // 凡例を文字起こし結果の話者に合わせる
+        updateSpeakerLegend();
+        
         if (!segments || segments.length === 0) {
             transcriptContent.innerHTML = '<div class="no-transcript">文字起こし結果がありません</div>';
+            player.setSegments([]);
             return;
         }
         
-        let html = '';
+        const scrollTop = transcriptContent.scrollTop;
+        transcriptContent.innerHTML = segments.map(createTranscriptEntryHtml).join('');
+        updateTranslationView();
         
-        segments.forEach(segment => {
-            // 話者名を取得（カスタム名があればそれを使用）
-            const speakerName = appState.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
-            
-            // 話者ごとの色を設定
-            const speakerColor = getSpeakerColor(segment.speaker);
-            
-            // 開始・終了時間をフォーマット
-            const startTime = formatTime(segment.start);
-            const endTime = formatTime(segment.end);
-            
-            html += `
-                <div class="transcript-entry">
+        // スクロールを一番下に（編集時は元の位置を保つ）
+        transcriptContent.scrollTop = options.preserveScroll ? scrollTop : transcriptContent.scrollHeight;
+        
+        // 再生位置の照合対象を更新（再生中のエントリは再び強調表示される）
+        player.setSegments(segments);
+    }
+    
+    /**
+     * 文字起こし結果を既存の表示の末尾に追加
+     * @param {Array} segments 追加するセグメント
+     * @param {number} startIndex 追加する最初のセグメントのインデックス
+     */
+    function appendTranscriptEntries(segments, startIndex) {
+        const html = segments.map((segment, i) => createTranscriptEntryHtml(segment, startIndex + i)).join('');
+        transcriptContent.insertAdjacentHTML('beforeend', html);
+        
+        updateSpeakerLegend();
+        
+        // スクロールを一番下に
+        transcriptContent.scrollTop = transcriptContent.scrollHeight;
+    }
+    
+    /**
+     * セグメント1件分の表示用HTMLを生成
+     * @param {Object} segment 文字起こしセグメント
+     * @param {number} index セグメントのインデックス
+     * @returns {string} HTML
+     */
+    function createTranscriptEntryHtml(segment, index) {
+        // 話者名を取得（カスタム名があればそれを使用）
+        const speakerName = appState.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
+        
+        // 話者ごとの色を設定
+        const speakerColor = getSpeakerColor(segment.speaker);
+        
+        // 録音中の暫定結果は見た目で区別し、編集できないようにする
+        if (segment.provisional) {
+            return `
+                <div class="transcript-entry provisional" data-index="${index}">
                     <div class="speaker-header">
                         <span class="speaker-label">
                             <span class="speaker-color" style="background-color: ${speakerColor};"></span>
-                            ${speakerName}
+                            ${escapeHtml(speakerName)}
                         </span>
-                        <span class="transcript-time">${startTime} - ${endTime}</span>
+                        <span class="transcript-time">${formatTime(segment.start)} - ${formatTime(segment.end)}</span>
                     </div>
-                    <div class="transcript-text">${segment.text}</div>
+                    <div class="transcript-text">${escapeHtml(segment.text)}</div>
                 </div>
             `;
-        });
+        }
         
-        transcriptContent.innerHTML = html;
+        const speakerOptions = getSpeakerIds().map(id => {
+            const name = appState.speakerNames[id] || `発話者${id}`;
+            const selected = id === segment.speaker ? ' selected' : '';
+            return `<option value="${id}"${selected}>${escapeHtml(name)}</option>`;
+        }).join('');
         
-        // スクロールを一番下に
-        transcriptContent.scrollTop = transcriptContent.scrollHeight;
+        const isLast = index === appState.transcriptSegments.length - 1;
+        const checked = appState.selectedSegments.has(index) ? ' checked' : '';
+        const bookmarkButton = segment.bookmarked
+            ? '<button class="entry-action active" data-action="bookmark" title="ブックマークを外す"><i class="fas fa-bookmark"></i></button>'
+            : '<button class="entry-action" data-action="bookmark" title="ブックマーク（議事録に一覧を出力）"><i class="far fa-bookmark"></i></button>';
+        
+        // 英訳した結果では英訳も編集できる（表示はupdateTranslationView()で切り替える）
+        const translationHtml = typeof segment.translation === 'string'
+            ? `<div class="transcript-text transcript-translation" data-field="translation" contenteditable="true" spellcheck="false" lang="en">${escapeHtml(segment.translation)}</div>`
+            : '';
+        
+        // 主な言語と異なる言語の発話には言語を表示
+        const mainLanguage = appState.transcriptMetadata.language;
+        const languageBadge = segment.language && mainLanguage && segment.language !== mainLanguage
+            ? `<span class="entry-language" title="${escapeHtml(formatLanguage(segment.language))}">${escapeHtml(segment.language.toUpperCase())}</span>`
+            : '';
+        
+        return `
+            <div class="transcript-entry" data-index="${index}">
+                <div class="speaker-header">
+                    <span class="speaker-label">
+                        <input type="checkbox" class="entry-select" data-field="select" title="話者を変更する発話として選択"${checked}>
+                        <span class="speaker-color" style="background-color: ${speakerColor};"></span>
+                        <select class="entry-speaker" data-field="speaker" title="話者">${speakerOptions}</select>
+                        ${languageBadge}
+                    </span>
+                    <span class="transcript-time">
+                        ${bookmarkButton}
+                        <button class="entry-action" data-action="play" title="この発話から再生"><i class="fas fa-play"></i></button>
+                        <input type="text" class="entry-time" data-field="start" value="${formatTimeInput(segment.start)}" title="開始時間">
+                        -
+                        <input type="text" class="entry-time" data-field="end" value="${formatTimeInput(segment.end)}" title="終了時間">
+                        <button class="entry-action" data-action="split" title="カーソル位置で分割"><i class="fas fa-cut"></i></button>
+                        <button class="entry-action" data-action="merge" title="次の発話と結合"${isLast ? ' disabled' : ''}><i class="fas fa-compress-alt"></i></button>
+                    </span>
+                </div>
+                <div class="transcript-body">
+                    <div class="transcript-text" contenteditable="true" spellcheck="false">${escapeHtml(segment.text)}</div>
+                    ${translationHtml}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 話者の選択肢に表示する話者IDの一覧を取得
+     * @returns {Array<string>}
+     */
+    function getSpeakerIds() {
+        const ids = new Set(Object.keys(appState.speakerNames));
+        appState.transcriptSegments.forEach(segment => ids.add(segment.speaker));
+        
+        // 不明な話者は最後に表示
+        const sorted = Array.from(ids).filter(id => id !== 'Unknown').sort();
+        return ids.has('Unknown') ? sorted.concat('Unknown') : sorted;
+    }
+    
+    /**
+     * HTMLの特殊文字をエスケープ
+     * @param {string} text 
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     /**
@@ -368,11 +1935,109 @@ document.addEventListener('DOMContentLoaded', () => {
         if (speakerId) {
             appState.speakerNames[speakerId] = input.value;
             
+            // 録音ごとに話者名を保存
+            saveSpeakerNames();
+            
             // 既存のトランスクリプトを再描画
             if (appState.transcriptSegments.length > 0) {
-                renderTranscript(appState.transcriptSegments);
+                renderTranscript(appState.transcriptSegments, { preserveScroll: true });
             }
+            updateSpeakerTools();
+        }
+    }
+    
+    /**
+     * 現在の録音の話者名を保存
+     */
+    function saveSpeakerNames() {
+        if (!appState.currentRecordingId) return;
+        
+        db.updateSpeakerNames(appState.currentRecordingId, appState.speakerNames).catch(error => {
+            console.error('話者名の保存に失敗しました:', error);
+        });
+    }
+    
+    /**
+     * 話者の色を変更
+     * @param {Event} event 
+     */
+    function updateSpeakerColor(event) {
+        const speakerId = event.target.closest('.speaker-item').getAttribute('data-speaker');
+        appState.speakerColors[speakerId] = event.target.value;
+        
+        handleSpeakerColorsChanged();
+    }
+    
+    /**
+     * 話者の色を既定の色に戻す
+     * @param {string} speakerId 
+     */
+    function resetSpeakerColor(speakerId) {
+        delete appState.speakerColors[speakerId];
+        
+        handleSpeakerColorsChanged();
+    }
+    
+    /**
+     * 話者の色の変更を保存して表示に反映
+     */
+    function handleSpeakerColorsChanged() {
+        if (appState.currentRecordingId) {
+            db.updateSpeakerColors(appState.currentRecordingId, appState.speakerColors).catch(error => {
+                console.error('話者の色の保存に失敗しました:', error);
+            });
         }
+        
+        updateSpeakerLegend();
+        
+        // 文字起こし結果の色の表示だけを更新（編集中の内容を失わないように再描画はしない）
+        transcriptContent.querySelectorAll('.transcript-entry[data-index]').forEach(entry => {
+            const segment = appState.transcriptSegments[parseInt(entry.getAttribute('data-index'), 10)];
+            if (segment) {
+                entry.querySelector('.speaker-color').style.backgroundColor = getSpeakerColor(segment.speaker);
+            }
+        });
+    }
+    
+    /**
+     * 文字起こし結果に登場する話者のIDを取得
+     * （話者分離結果のspeakers.labelsと同じく、不明な話者を除いてID順に並べる）
+     * @returns {Array<string>}
+     */
+    function getUsedSpeakerIds() {
+        const ids = new Set(appState.transcriptSegments.map(segment => segment.speaker));
+        ids.delete('Unknown');
+        
+        return Array.from(ids).sort();
+    }
+    
+    /**
+     * 文字起こし結果に登場する話者から凡例を作り直す
+     * 話者の構成・名前・色が変わっていなければ、入力中の欄を壊さないよう何もしない
+     */
+    function updateSpeakerLegend() {
+        const speakerIds = getUsedSpeakerIds();
+        const items = speakerIds.map(id => ({
+            id,
+            name: appState.speakerNames[id] || `発話者${id}`,
+            color: getSpeakerColor(id),
+            isCustomColor: Boolean(appState.speakerColors[id])
+        }));
+        
+        const legendKey = JSON.stringify(items);
+        if (speakerLegend.getAttribute('data-key') === legendKey) return;
+        speakerLegend.setAttribute('data-key', legendKey);
+        
+        speakerLegend.innerHTML = items.map(item => `
+            <div class="speaker-item" data-speaker="${item.id}">
+                <label class="speaker-color-picker" title="色を変更">
+                    <span class="speaker-color" style="background-color: ${item.color};"></span>
+                    <input type="color" class="speaker-color-input" value="${item.color}">
+                </label>
+                <input type="text" value="${escapeHtml(item.name)}" class="speaker-name" aria-label="${escapeHtml(item.name)}の名前">
+                ${item.isCustomColor ? '<button class="speaker-color-reset" title="既定の色に戻す">&times;</button>' : ''}
+            </div>
+        `).join('');
     }
     
     /**
@@ -381,17 +2046,29 @@ document.addEventListener('DOMContentLoaded', () => {
      * @returns {string} カラーコード
      */
     function getSpeakerColor(speakerId) {
-        const colors = {
-            'A': '#4285f4', // 青
-            'B': '#ea4335', // 赤
-            'C': '#fbbc05', // 黄
-            'D': '#34a853', // 緑
-            'E': '#673ab7', // 紫
-            'F': '#ff6d00', // オレンジ
-            'Unknown': '#9aa0a6' // グレー
-        };
+        if (appState.speakerColors[speakerId]) {
+            return appState.speakerColors[speakerId];
+        }
+        
+        if (!speakerId || speakerId === 'Unknown') {
+            return unknownSpeakerColor;
+        }
         
-        return colors[speakerId] || colors['Unknown'];
+        // A, B, C...の順に割り当て、それ以外のIDは文字コードから決める
+        const index = /^[A-Z]$/.test(speakerId)
+            ? speakerId.charCodeAt(0) - 'A'.charCodeAt(0)
+            : Array.from(speakerId).reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+        
+        return speakerPalette[index % speakerPalette.length];
+    }
+    
+    /**
+     * 言語コードを表示名に変換
+     * @param {string} language 言語コード
+     * @returns {string}
+     */
+    function formatLanguage(language) {
+        return languageNames[language] || language;
     }
     
     /**
@@ -413,6 +2090,39 @@ document.addEventListener('DOMContentLoaded', () => {
         return parts.join(':');
     }
     
+    /**
+     * 秒数を編集用の時間表記（MM:SS.ss、1時間以上はHH:MM:SS.ss）に変換
+     * @param {number} seconds 
+     * @returns {string}
+     */
+    function formatTimeInput(seconds) {
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+        
+        const parts = [
+            hrs > 0 ? String(hrs).padStart(2, '0') : null,
+            String(mins).padStart(2, '0'),
+            secs
+        ].filter(Boolean);
+        
+        return parts.join(':');
+    }
+    
+    /**
+     * 時間表記（HH:MM:SS.ss、MM:SS.ss、SS.ss）を秒数に変換
+     * @param {string} text 
+     * @returns {number} 秒数（形式が正しくない場合はNaN）
+     */
+    function parseTime(text) {
+        const parts = text.trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+            return NaN;
+        }
+        
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+    
     /**
      * 録音時間の表示を開始
      */
@@ -445,19 +2155,60 @@ document.addEventListener('DOMContentLoaded', () => {
             startButton.disabled = true;
             pauseButton.disabled = true;
             stopButton.disabled = true;
+            importButton.disabled = true;
+            reprocessButton.disabled = true;
+            translateButton.disabled = true;
+            undoButton.disabled = true;
+            redoButton.disabled = true;
+            library.setDisabled(true);
             statusText.textContent = '初期化中...';
             return;
         }
         
+        // 処理中は版の切り替えと再処理、ライブラリの操作を行わない
+        const isBusy = appState.isRecording || appState.isImporting || appState.isFinalizing || appState.isReprocessing || appState.isTranslating;
+        reprocessButton.disabled = isBusy || !appState.currentRecordingId;
+        translateButton.disabled = isBusy || !appState.currentRecordingId || appState.transcriptSegments.length === 0;
+        transcriptVersionSelect.disabled = isBusy;
+        library.setDisabled(isBusy);
+        updateEditButtons();
+        libraryDeleteSelected.disabled = isBusy || library.getSelectedIds().length === 0;
+        
         if (appState.isRecording) {
             startButton.disabled = true;
             pauseButton.disabled = false;
             stopButton.disabled = false;
+            importButton.disabled = true;
             statusText.textContent = appState.isPaused ? '一時停止中' : '録音中';
+        } else if (appState.isImporting) {
+            startButton.disabled = true;
+            pauseButton.disabled = true;
+            stopButton.disabled = true;
+            importButton.disabled = true;
+            statusText.textContent = 'ファイルを処理中...';
+        } else if (appState.isFinalizing) {
+            startButton.disabled = true;
+            pauseButton.disabled = true;
+            stopButton.disabled = true;
+            importButton.disabled = true;
+            statusText.textContent = '処理中...';
+        } else if (appState.isReprocessing) {
+            startButton.disabled = true;
+            pauseButton.disabled = true;
+            stopButton.disabled = true;
+            importButton.disabled = true;
+            statusText.textContent = '再処理中...';
+        } else if (appState.isTranslating) {
+            startButton.disabled = true;
+            pauseButton.disabled = true;
+            stopButton.disabled = true;
+            importButton.disabled = true;
+            statusText.textContent = '英訳中...';
         } else {
             startButton.disabled = false;
             pauseButton.disabled = true;
             stopButton.disabled = true;
+            importButton.disabled = false;
             statusText.textContent = '準備完了';
         }
     }
@@ -532,8 +2283,25 @@ document.addEventListener('DOMContentLoaded', () => {
     function openSettings() {
         // 現在の設定を表示
         modelSelection.value = appSettings.modelId;
+        transcriptionLanguage.value = appSettings.language;
         segmentDuration.value = appSettings.segmentDuration;
         maxSpeakers.value = appSettings.maxSpeakers;
+        diarizationSeed.value = appSettings.diarizationSeed !== null && appSettings.diarizationSeed !== undefined
+            ? appSettings.diarizationSeed
+            : '';
+        glossaryTerms.value = formatGlossary(appSettings.glossary);
+        replacementRules.value = formatReplacementRules(appSettings.replacements);
+        subtitleSpeakerLabel.value = appSettings.subtitleSpeakerLabel;
+        subtitleMaxChars.value = appSettings.subtitleMaxChars;
+        subtitleMaxDuration.value = appSettings.subtitleMaxDuration;
+        subtitleTranslation.value = appSettings.subtitleTranslation;
+        csvDelimiter.value = appSettings.csvDelimiter;
+        csvEncoding.value = appSettings.csvEncoding;
+        csvIncludeSegmentId.checked = appSettings.csvIncludeSegmentId;
+        csvIncludeSpeakerId.checked = appSettings.csvIncludeSpeakerId;
+        csvIncludeDuration.checked = appSettings.csvIncludeDuration;
+        minutesIncludeBookmarks.checked = appSettings.minutesIncludeBookmarks;
+        minutesIncludeStatistics.checked = appSettings.minutesIncludeStatistics;
         
         settingsModal.style.display = 'block';
     }
@@ -549,11 +2317,38 @@ document.addEventListener('DOMContentLoaded', () => {
      * 設定を保存
      */
     async function saveSettings() {
+        // 用語集と置換ルールは保存する前に検証する
+        let glossary;
+        let replacements;
+        try {
+            glossary = parseGlossary(glossaryTerms.value);
+            replacements = parseReplacementRules(replacementRules.value);
+            speechRecognizer.compileReplacements(glossary, replacements);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
         // 設定値を取得
         const newSettings = {
             modelId: modelSelection.value,
+            language: transcriptionLanguage.value,
             segmentDuration: parseInt(segmentDuration.value, 10),
-            maxSpeakers: parseInt(maxSpeakers.value, 10)
+            maxSpeakers: parseInt(maxSpeakers.value, 10),
+            diarizationSeed: diarizationSeed.value === '' ? null : parseInt(diarizationSeed.value, 10),
+            glossary,
+            replacements,
+            subtitleSpeakerLabel: subtitleSpeakerLabel.value,
+            subtitleMaxChars: parseInt(subtitleMaxChars.value, 10) || defaultSettings.subtitleMaxChars,
+            subtitleMaxDuration: parseFloat(subtitleMaxDuration.value) || defaultSettings.subtitleMaxDuration,
+            subtitleTranslation: subtitleTranslation.value,
+            csvDelimiter: csvDelimiter.value,
+            csvEncoding: csvEncoding.value,
+            csvIncludeSegmentId: csvIncludeSegmentId.checked,
+            csvIncludeSpeakerId: csvIncludeSpeakerId.checked,
+            csvIncludeDuration: csvIncludeDuration.checked,
+            minutesIncludeBookmarks: minutesIncludeBookmarks.checked,
+            minutesIncludeStatistics: minutesIncludeStatistics.checked
         };
         
         // モデルが変更された場合は再読み込み
@@ -586,8 +2381,99 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function resetSettings() {
         modelSelection.value = defaultSettings.modelId;
+        transcriptionLanguage.value = defaultSettings.language;
         segmentDuration.value = defaultSettings.segmentDuration;
         maxSpeakers.value = defaultSettings.maxSpeakers;
+        diarizationSeed.value = '';
+        glossaryTerms.value = formatGlossary(defaultSettings.glossary);
+        replacementRules.value = formatReplacementRules(defaultSettings.replacements);
+        subtitleSpeakerLabel.value = defaultSettings.subtitleSpeakerLabel;
+        subtitleMaxChars.value = defaultSettings.subtitleMaxChars;
+        subtitleMaxDuration.value = defaultSettings.subtitleMaxDuration;
+        subtitleTranslation.value = defaultSettings.subtitleTranslation;
+        csvDelimiter.value = defaultSettings.csvDelimiter;
+        csvEncoding.value = defaultSettings.csvEncoding;
+        csvIncludeSegmentId.checked = defaultSettings.csvIncludeSegmentId;
+        csvIncludeSpeakerId.checked = defaultSettings.csvIncludeSpeakerId;
+        csvIncludeDuration.checked = defaultSettings.csvIncludeDuration;
+        minutesIncludeBookmarks.checked = defaultSettings.minutesIncludeBookmarks;
+        minutesIncludeStatistics.checked = defaultSettings.minutesIncludeStatistics;
+    }
+    
+    /**
+     * 用語集の入力欄を解析（1行に1語、「用語 = 読み・誤表記」で読みを指定できる）
+     * @param {string} text 入力欄の内容
+     * @returns {Array} { term, reading }の配列
+     */
+    function parseGlossary(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const separator = line.indexOf('=');
+                if (separator < 0) {
+                    return { term: line, reading: '' };
+                }
+                return {
+                    term: line.slice(0, separator).trim(),
+                    reading: line.slice(separator + 1).trim()
+                };
+            })
+            .filter(entry => entry.term);
+    }
+    
+    /**
+     * 用語集を入力欄の形式に変換
+     * @param {Array} glossary { term, reading }の配列
+     * @returns {string}
+     */
+    function formatGlossary(glossary) {
+        return (glossary || [])
+            .map(entry => entry.reading ? `${entry.term} = ${entry.reading}` : entry.term)
+            .join('\n');
+    }
+    
+    /**
+     * 置換ルールの入力欄を解析
+     * 1行に1つ「誤認識 => 正しい表記」、正規表現は「/パターン/フラグ => 置換後」（$1などで参照できる）
+     * @param {string} text 入力欄の内容
+     * @returns {Array} { pattern, replacement, regex, flags }の配列
+     */
+    function parseReplacementRules(text) {
+        const rules = [];
+        
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            
+            const separator = line.indexOf('=>');
+            if (separator < 0) {
+                throw new Error(`置換ルールの${i + 1}行目に「=>」がありません`);
+            }
+            
+            const pattern = line.slice(0, separator).trim();
+            const replacement = line.slice(separator + 2).trim();
+            if (!pattern) {
+                throw new Error(`置換ルールの${i + 1}行目に置換する文字列がありません`);
+            }
+            
+            const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+            rules.push(match
+                ? { pattern: match[1], replacement, regex: true, flags: match[2] }
+                : { pattern, replacement, regex: false, flags: '' });
+        });
+        
+        return rules;
+    }
+    
+    /**
+     * 置換ルールを入力欄の形式に変換
+     * @param {Array} replacements { pattern, replacement, regex, flags }の配列
+     * @returns {string}
+     */
+    function formatReplacementRules(replacements) {
+        return (replacements || [])
+            .map(rule => `${rule.regex ? `/${rule.pattern}/${rule.flags || ''}` : rule.pattern} => ${rule.replacement}`)
+            .join('\n');
     }
     
     /**
@@ -624,6 +2510,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (settings.maxSpeakers) {
             diarization.setMaxSpeakers(settings.maxSpeakers);
         }
+        
+        // 未指定の場合は既定のシードで再現可能な結果になる
+        diarization.setRandomSeed(settings.diarizationSeed !== undefined ? settings.diarizationSeed : null);
+        
+        // 話者の交代で分割した発話にも文字起こしと同じ置換ルールを適用する
+        diarization.setReplacementRules(
+            speechRecognizer.compileReplacements(settings.glossary || [], settings.replacements || [])
+        );
     }
     
     /**
@@ -658,7 +2552,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     /**
      * 文字起こし結果をエクスポート
-     * @param {string} format フォーマット ('markdown'|'csv'|'text')
+     * @param {string} format フォーマット ('markdown'|'csv'|'text'|'srt'|'vtt')
      */
     function exportTranscript(format) {
         if (appState.transcriptSegments.length === 0) {
@@ -670,6 +2564,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const now = new Date();
             const timestamp = now.toISOString().replace(/[:.]/g, '-').substring(0, 19);
             let content, filename;
+            let type = 'text/plain';
             
             // スピーカー名を取得
             const speakerNames = { ...appState.speakerNames };
@@ -683,13 +2578,47 @@ document.addEventListener('DOMContentLoaded', () => {
                     filename = `transcript_${timestamp}.md`;
                     break;
                     
-                case 'csv':
-                    content = exporter.exportToCSV(
+                case 'csv': {
+                    const delimiter = appSettings.csvDelimiter === 'tab' ? '\t' : ',';
+                    const csvContent = exporter.exportToCSV(
                         appState.transcriptSegments,
-                        { speakerNames }
+                        {
+                            speakerNames,
+                            delimiter,
+                            includeSegmentId: appSettings.csvIncludeSegmentId,
+                            includeSpeakerId: appSettings.csvIncludeSpeakerId,
+                            includeDuration: appSettings.csvIncludeDuration
+                        }
                     );
-                    filename = `transcript_${timestamp}.csv`;
+                    content = exporter.encodeText(csvContent, appSettings.csvEncoding);
+                    type = exporter.getCSVMimeType(delimiter, appSettings.csvEncoding);
+                    filename = `transcript_${timestamp}.${delimiter === '\t' ? 'tsv' : 'csv'}`;
+                    break;
+                }
+                    
+                case 'srt':
+                case 'vtt': {
+                    const subtitleOptions = {
+                        speakerNames,
+                        maxCharsPerLine: appSettings.subtitleMaxChars,
+                        maxCueDuration: appSettings.subtitleMaxDuration,
+                        // 声タグはWebVTTのみ。SRTでは名前を前に付ける
+                        speakerLabel: format === 'srt' && appSettings.subtitleSpeakerLabel === 'voice'
+                            ? 'prefix'
+                            : appSettings.subtitleSpeakerLabel,
+                        translation: appSettings.subtitleTranslation
+                    };
+                    
+                    if (format === 'srt') {
+                        content = exporter.exportToSRT(appState.transcriptSegments, subtitleOptions);
+                        type = 'application/x-subrip';
+                    } else {
+                        content = exporter.exportToVTT(appState.transcriptSegments, subtitleOptions);
+                        type = 'text/vtt';
+                    }
+                    filename = `transcript_${timestamp}.${format}`;
                     break;
+                }
                     
                 case 'text':
                 default:
@@ -701,7 +2630,155 @@ document.addEventListener('DOMContentLoaded', () => {
                     break;
             }
             
-            exporter.downloadFile(content, filename);
+            exporter.downloadFile(content, filename, type);
+            
+        } catch (error) {
+            console.error('エクスポート中にエラーが発生しました:', error);
+            alert('エクスポート中にエラーが発生しました');
+        }
+    }
+    
+    /**
+     * 文字起こし結果を議事録（Word形式または印刷用HTML）としてエクスポート
+     * @param {string} format フォーマット ('docx'|'html')
+     */
+    async function exportMinutes(format) {
+        if (appState.transcriptSegments.length === 0) {
+            alert('エクスポートする文字起こし結果がありません');
+            return;
+        }
+        
+        try {
+            const recording = appState.currentRecordingId
+                ? await db.getRecording(appState.currentRecordingId)
+                : null;
+            
+            // 表示中の色で話者を塗り分ける
+            const speakerColors = {};
+            appState.transcriptSegments.forEach(segment => {
+                speakerColors[segment.speaker] = getSpeakerColor(segment.speaker);
+            });
+            
+            const options = {
+                title: recording ? recording.name : '文字起こし結果',
+                date: recording ? recording.date : null,
+                duration: recording ? recording.duration : null,
+                speakerNames: { ...appState.speakerNames },
+                speakerColors,
+                includeBookmarks: appSettings.minutesIncludeBookmarks,
+                includeStatistics: appSettings.minutesIncludeStatistics
+            };
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+            
+            if (format === 'docx') {
+                const blob = await exporter.exportToDocx(appState.transcriptSegments, options);
+                exporter.downloadFile(blob, `minutes_${timestamp}.docx`, blob.type);
+            } else {
+                const content = exporter.exportToHTML(appState.transcriptSegments, options);
+                exporter.downloadFile(content, `minutes_${timestamp}.html`, 'text/html;charset=utf-8');
+            }
+            
+        } catch (error) {
+            console.error('エクスポート中にエラーが発生しました:', error);
+            alert('エクスポート中にエラーが発生しました');
+        }
+    }
+    
+    /**
+     * 話者の発話区間を研究用のアノテーション形式でエクスポート
+     * @param {string} format フォーマット ('rttm'|'eaf'|'textgrid')
+     */
+    async function exportAnnotation(format) {
+        if (appState.transcriptSegments.length === 0) {
+            alert('エクスポートする文字起こし結果がありません');
+            return;
+        }
+        
+        try {
+            const recording = appState.currentRecordingId
+                ? await db.getRecording(appState.currentRecordingId)
+                : null;
+            const recordingName = recording ? recording.name : 'recording';
+            const speakerNames = { ...appState.speakerNames };
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+            let content, filename, type;
+            
+            switch (format) {
+                case 'rttm':
+                    content = exporter.exportToRTTM(appState.transcriptSegments, {
+                        speakerNames,
+                        // ファイルIDは拡張子を除いた録音名
+                        fileId: recordingName.replace(/\.[^.]+$/, '')
+                    });
+                    filename = `transcript_${timestamp}.rttm`;
+                    type = 'text/plain';
+                    break;
+                    
+                case 'eaf':
+                    content = exporter.exportToEAF(appState.transcriptSegments, {
+                        speakerNames,
+                        // 読み込んだ音声ファイルであれば、ELANで開いたときに関連付けられるようにする
+                        mediaFile: isSupportedMediaFile({ type: '', name: recordingName }) ? recordingName : ''
+                    });
+                    filename = `transcript_${timestamp}.eaf`;
+                    type = 'application/xml';
+                    break;
+                    
+                case 'textgrid':
+                default:
+                    content = exporter.exportToTextGrid(appState.transcriptSegments, {
+                        speakerNames,
+                        duration: recording ? recording.duration : 0
+                    });
+                    filename = `transcript_${timestamp}.TextGrid`;
+                    type = 'text/plain';
+                    break;
+            }
+            
+            exporter.downloadFile(content, filename, type);
+            
+        } catch (error) {
+            console.error('エクスポート中にエラーが発生しました:', error);
+            alert('エクスポート中にエラーが発生しました');
+        }
+    }
+    
+    /**
+     * 表示中の録音のセッション全体をJSON形式でエクスポート
+     * @param {boolean} includeAudio 録音データを含めるかどうか
+     */
+    async function exportSession(includeAudio) {
+        const recordingId = appState.currentRecordingId;
+        if (!recordingId || appState.isRecording) {
+            alert('エクスポートする録音がありません');
+            return;
+        }
+        
+        try {
+            // 編集中の内容を保存してから書き出す
+            await editor.flush();
+            
+            const [recording, transcript, versions, audioBlob] = await Promise.all([
+                db.getRecording(recordingId),
+                db.getTranscript(recordingId),
+                db.getTranscriptVersions(recordingId),
+                includeAudio ? db.getRecordingAudio(recordingId) : null
+            ]);
+            
+            if (!recording) {
+                alert('録音が見つかりません');
+                return;
+            }
+            
+            const content = await exporter.exportToJSON(
+                { recording, transcript, versions, audioBlob },
+                { includeAudio }
+            );
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+            exporter.downloadFile(content, `session_${timestamp}.json`, 'application/json');
             
         } catch (error) {
             console.error('エクスポート中にエラーが発生しました:', error);
@@ -717,9 +2794,22 @@ document.addEventListener('DOMContentLoaded', () => {
             'Audio Note - 使い方ガイド\n\n' +
             '録音開始: 「録音開始」ボタンをクリックすると録音が始まります\n' +
             '一時停止/再開: 録音中に「一時停止」ボタンで録音を一時停止できます\n' +
-            '録音停止: 「録音停止」ボタンで録音を終了し、自動的に文字起こし処理が開始されます\n\n' +
+            '文字起こし: 録音中はセグメントごとに文字起こし結果が表示され、録音停止後に話者ラベルが確定します\n' +
+            '録音停止: 「録音停止」ボタンで録音を終了し、残りの文字起こしと話者分離が行われます\n' +
+            'ファイル読込: 「ファイル読込」ボタンまたは文字起こし欄へのドラッグ＆ドロップで、録音済みの音声・動画ファイルを処理できます\n' +
+            '再処理: 「再処理」ボタンで、保存された録音をモデルや最大話者数を変えて処理し直せます（以前の結果は版として残り、切り替えて表示できます）\n' +
+            '言語: 設定で文字起こしの言語を選べます。「自動検出」では30秒ごとに言語が判定され、主な言語と異なる発話には言語が表示されます\n' +
+            '英訳: 「英訳」ボタンで録音を英語に翻訳し、各発話に英訳を付けられます。「訳文」ボタンで原文と並べた表示を切り替えます\n' +
+            '用語集: 設定の「用語集と置換ルール」に製品名や社名を登録すると、その表記で文字起こしされやすくなります。既知の誤認識は置換ルールで自動的に修正されます\n' +
+            '中止: ファイル読込や再処理の文字起こし中は、進捗欄の「中止」ボタンで処理を止められます\n' +
+            '再生: 文字起こし結果の上のプレーヤーで録音を再生できます。各発話の再生ボタンでその発話の先頭から再生され、再生中の発話が強調表示されます\n' +
+            '編集: 発話のテキスト、開始・終了時間、話者を直接編集できます。カーソル位置での分割や次の発話との結合もでき、Ctrl+Z/Ctrl+Yで元に戻す/やり直しができます（変更は自動保存されます）\n' +
+            '話者の修正: 2人の話者をひとつに統合したり、チェックを付けた発話をまとめて別の話者や新しい話者に変更したりできます\n' +
+            '音声の書き出し: チェックを付けた発話や特定の話者の全発話の音声を、WAVファイル（連結または発話ごとのZIP）として保存できます\n' +
+            '録音ライブラリ: 保存された録音を開く、名前の変更、削除ができます（チェックを付けてまとめて削除することもできます）\n\n' +
             '話者名の変更: 文字起こし結果の上部にある「発話者A」などの名前を直接編集できます\n' +
-            '結果のエクスポート: 「エクスポート」ボタンからMarkdown、CSV、テキスト形式で保存できます\n\n' +
+            '結果のエクスポート: 「エクスポート」ボタンからMarkdown、CSV、テキスト形式、SRT/WebVTT字幕、議事録（Word形式・印刷用HTML）、RTTM・ELAN・Praat TextGrid形式で保存できます\n' +
+            'セッションの移行: 「エクスポート」のJSON形式で書き出したファイルを「ファイル読込」で読み込むと、録音と文字起こし結果を別の環境に移せます\n\n' +
             '設定: 画面下部の「設定」ボタンから音声認識モデルや最大話者数などを変更できます'
         );
     }
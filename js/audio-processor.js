@@ -30,16 +30,20 @@ class AudioProcessor {
         // イベントリスナー
         this.onAudioProcess = null;
         this.onDataAvailable = null;
+        this.onSegmentAvailable = null;
         this.onRecordingStop = null;
         
-        // 音声特性データ収集用
-        this.audioFeatures = [];
-        
         // セグメントの管理用
         this.currentSegmentIndex = 0;
         this.segmentDuration = 30; // デフォルトは30秒
         this.segmentTimerId = null;
         
+        // セグメントごとの文字起こし用PCMバッファ
+        this.pcmCaptureNode = null;
+        this.pendingPcmBuffers = [];
+        this.pendingPcmLength = 0;
+        this.segmentStartSample = 0;
+        
         // セッション識別用
         this.currentRecordingId = null;
     }
@@ -89,8 +93,12 @@ class AudioProcessor {
         // ソースをアナライザーに接続
         source.connect(this.analyser);
         
-        // 音声特性抽出用のポーリング開始
-        this.startFeatureExtraction();
+        // セグメント単位の文字起こし用にPCMを取得するノード
+        this.pcmCaptureNode = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.pcmCaptureNode.onaudioprocess = this.handlePcmCapture.bind(this);
+        source.connect(this.pcmCaptureNode);
+        // 出力先に接続しないと処理が走らないブラウザがあるため接続する（出力は無音）
+        this.pcmCaptureNode.connect(this.audioContext.destination);
     }
     
     /**
@@ -108,7 +116,7 @@ class AudioProcessor {
             this.segmentDuration = segmentDuration;
             
             // 新しい録音セッションを作成
-            this.currentRecordingId = await db.createRecording();
+            this.currentRecordingId = await db.createRecording('新規録音', this.audioContext.sampleRate);
             
             // MediaRecorderの設定
             const options = { mimeType: 'audio/webm' };
@@ -121,6 +129,9 @@ class AudioProcessor {
             // 録音開始時の状態をリセット
             this.audioChunks = [];
             this.currentSegmentIndex = 0;
+            this.pendingPcmBuffers = [];
+            this.pendingPcmLength = 0;
+            this.segmentStartSample = 0;
             this.recordingStartTime = Date.now();
             this.totalPauseDuration = 0;
             
@@ -227,13 +238,15 @@ class AudioProcessor {
                 this.onDataAvailable(event.data);
             }
             
-            // 現在のセグメントインデックスと時間を計算
-            const currentTime = this.getCurrentRecordingTime();
+            // このセグメントのPCMを文字起こし用に通知
+            // （停止時の最後のデータはstateがinactiveになった後に届く）
+            const segmentIndex = this.currentSegmentIndex;
+            this.emitSegment(segmentIndex, this.mediaRecorder.state === 'inactive');
             
             // 音声チャンクをデータベースに保存
             await db.saveAudioChunk(
                 this.currentRecordingId,
-                this.currentSegmentIndex,
+                segmentIndex,
                 event.data,
                 this.segmentDuration
             );
@@ -243,6 +256,87 @@ class AudioProcessor {
         }
     }
     
+    /**
+     * マイク入力のPCMをセグメント用バッファに蓄積
+     * @private
+     * @param {AudioProcessingEvent} event 
+     */
+    handlePcmCapture(event) {
+        if (!this.isRecording || this.isPaused) {
+            return;
+        }
+        
+        // 入力バッファは再利用されるためコピーして保持する
+        const input = event.inputBuffer.getChannelData(0);
+        this.pendingPcmBuffers.push(new Float32Array(input));
+        this.pendingPcmLength += input.length;
+    }
+    
+    /**
+     * 蓄積したPCMをひとつのセグメントとしてコールバックに渡す
+     * @private
+     * @param {number} segmentIndex セグメントのインデックス
+     * @param {boolean} isFinal 録音停止時の最後のセグメントかどうか
+     */
+    emitSegment(segmentIndex, isFinal) {
+        const sampleRate = this.audioContext.sampleRate;
+        
+        // バッファを連結
+        const pcm = new Float32Array(this.pendingPcmLength);
+        let offset = 0;
+        for (const buffer of this.pendingPcmBuffers) {
+            pcm.set(buffer, offset);
+            offset += buffer.length;
+        }
+        
+        // セッション内での位置（秒）をサンプル数から算出
+        const startTime = this.segmentStartSample / sampleRate;
+        const endTime = (this.segmentStartSample + pcm.length) / sampleRate;
+        
+        this.segmentStartSample += pcm.length;
+        this.pendingPcmBuffers = [];
+        this.pendingPcmLength = 0;
+        
+        if (this.onSegmentAvailable) {
+            this.onSegmentAvailable({
+                recordingId: this.currentRecordingId,
+                index: segmentIndex,
+                startTime,
+                endTime,
+                pcm,
+                sampleRate,
+                isFinal
+            });
+        }
+    }
+    
+    /**
+     * PCMデータを指定のサンプリングレートに変換
+     * @param {Float32Array} pcm 元のPCMデータ（モノラル）
+     * @param {number} sourceRate 元のサンプリングレート
+     * @param {number} targetRate 変換後のサンプリングレート
+     * @returns {Promise<Float32Array>} 変換後のPCMデータ
+     */
+    async resample(pcm, sourceRate, targetRate = 16000) {
+        if (pcm.length === 0 || sourceRate === targetRate) {
+            return pcm;
+        }
+        
+        const length = Math.ceil(pcm.length * targetRate / sourceRate);
+        const offlineContext = new OfflineAudioContext(1, length, targetRate);
+        
+        const buffer = offlineContext.createBuffer(1, pcm.length, sourceRate);
+        buffer.copyToChannel(pcm, 0);
+        
+        const source = offlineContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offlineContext.destination);
+        source.start();
+        
+        const rendered = await offlineContext.startRendering();
+        return rendered.getChannelData(0);
+    }
+    
     /**
      * 録音停止イベントのデフォルトハンドラ
      * @private
@@ -305,189 +399,94 @@ class AudioProcessor {
     }
     
     /**
-     * 音声特性抽出の開始
-     * @private
+     * 音声ファイル（Blob）をデコードしてモノラルのPCMデータに変換
+     * @param {Blob} blob 音声または動画ファイル
+     * @param {number} sampleRate デコード後のサンプリングレート
+     * @returns {Promise<Object>} { pcm, sampleRate, duration }
      */
-    startFeatureExtraction() {
-        const extractFeatures = () => {
-            if (!this.analyser) return;
-            
-            // 周波数領域のデータを取得
-            const freqData = new Float32Array(this.analyser.frequencyBinCount);
-            this.analyser.getFloatFrequencyData(freqData);
-            
-            // 時間領域のデータを取得
-            const timeData = new Float32Array(this.analyser.fftSize);
-            this.analyser.getFloatTimeDomainData(timeData);
-            
-            // 音声特性を抽出して保存
-            if (this.isRecording && !this.isPaused) {
-                const features = this.extractAudioFeatures(freqData, timeData);
-                this.audioFeatures.push({
-                    time: this.getCurrentRecordingTime(),
-                    features
-                });
-            }
-            
-            // 次のフレームでも実行
-            requestAnimationFrame(extractFeatures);
-        };
+    async decodeAudioBlob(blob, sampleRate = 16000) {
+        const audioBuffer = await this.decodeToAudioBuffer(blob, sampleRate);
         
-        // 特性抽出を開始
-        extractFeatures();
-    }
-    
-    /**
-     * 音声データから特性を抽出
-     * @private
-     * @param {Float32Array} freqData 周波数領域データ
-     * @param {Float32Array} timeData 時間領域データ
-     * @returns {Object} 抽出された特性
-     */
-    extractAudioFeatures(freqData, timeData) {
-        // 基本的な特性を計算
-        const features = {
-            // スペクトル重心（音色の特徴）
-            spectralCentroid: this.calculateSpectralCentroid(freqData),
-            
-            // RMS（音量の指標）
-            rms: this.calculateRMS(timeData),
-            
-            // スペクトルフラックス（音色の変化率）
-            spectralFlux: this.calculateSpectralFlux(freqData),
-            
-            // ゼロクロッシングレート（基本周波数の近似）
-            zeroCrossingRate: this.calculateZeroCrossingRate(timeData),
-            
-            // 周波数帯域ごとのエネルギー分布
-            bandEnergies: this.calculateBandEnergies(freqData)
+        return {
+            pcm: this.mixToMono(audioBuffer, 0, audioBuffer.length),
+            sampleRate: audioBuffer.sampleRate,
+            duration: audioBuffer.duration
         };
-        
-        return features;
     }
     
     /**
-     * スペクトル重心を計算（音色の特徴を表す）
-     * @private
-     * @param {Float32Array} freqData 
-     * @returns {number}
+     * 音声ファイル（Blob）をデコードし、指定した時間の範囲だけをモノラルのPCMデータとして取り出す
+     * - 録音全体のモノラルPCMデータは作らず、デコード結果も返した後は参照を残さない
+     * @param {Blob} blob 音声または動画ファイル
+     * @param {Array<Object>} ranges 取り出す範囲（{ start, end }（秒）の配列）
+     * @param {number} sampleRate デコード後のサンプリングレート
+     * @returns {Promise<Object>} { clips: rangesと同じ順のFloat32Arrayの配列, sampleRate }
      */
-    calculateSpectralCentroid(freqData) {
-        let numerator = 0;
-        let denominator = 0;
-        
-        for (let i = 0; i < freqData.length; i++) {
-            // dBを線形スケールに変換
-            const magnitude = Math.pow(10, freqData[i] / 20);
-            numerator += magnitude * i;
-            denominator += magnitude;
-        }
+    async decodeAudioRanges(blob, ranges, sampleRate) {
+        const audioBuffer = await this.decodeToAudioBuffer(blob, sampleRate);
+        const rate = audioBuffer.sampleRate;
+        
+        const clips = ranges.map(range => {
+            const startIndex = Math.min(audioBuffer.length, Math.max(0, Math.floor(range.start * rate)));
+            const endIndex = Math.min(audioBuffer.length, Math.ceil(range.end * rate));
+            return this.mixToMono(audioBuffer, startIndex, Math.max(startIndex, endIndex));
+        });
         
-        return denominator !== 0 ? numerator / denominator : 0;
+        return { clips, sampleRate: rate };
     }
     
     /**
-     * RMS（二乗平均平方根）を計算（音量の指標）
+     * 音声ファイル（Blob）を指定のサンプリングレートのAudioBufferにデコード
      * @private
-     * @param {Float32Array} timeData 
-     * @returns {number}
+     * @param {Blob} blob
+     * @param {number} sampleRate
+     * @returns {Promise<AudioBuffer>}
      */
-    calculateRMS(timeData) {
-        let sum = 0;
-        for (let i = 0; i < timeData.length; i++) {
-            sum += timeData[i] * timeData[i];
-        }
-        return Math.sqrt(sum / timeData.length);
-    }
-    
-    /**
-     * スペクトルフラックスを計算（スペクトルの変化量）
-     * @private
-     * @param {Float32Array} freqData 
-     * @returns {number}
-     */
-    calculateSpectralFlux(freqData) {
-        if (!this.prevFreqData) {
-            this.prevFreqData = new Float32Array(freqData.length);
-            return 0;
-        }
-        
-        let sum = 0;
-        for (let i = 0; i < freqData.length; i++) {
-            const diff = Math.pow(10, freqData[i] / 20) - Math.pow(10, this.prevFreqData[i] / 20);
-            sum += diff * diff;
-        }
+    async decodeToAudioBuffer(blob, sampleRate) {
+        const arrayBuffer = await blob.arrayBuffer();
         
-        // 前のフレームのデータを更新
-        this.prevFreqData.set(freqData);
-        
-        return Math.sqrt(sum);
+        // デコード時に指定のサンプリングレートへ変換させるためOfflineAudioContextを使用
+        const decodeContext = new OfflineAudioContext(1, 1, sampleRate);
+        return await decodeContext.decodeAudioData(arrayBuffer);
     }
     
     /**
-     * ゼロクロッシングレートを計算（基本周波数の近似）
+     * AudioBufferの指定したサンプルの範囲の全チャンネルを平均してモノラルに変換
      * @private
-     * @param {Float32Array} timeData 
-     * @returns {number}
+     * @param {AudioBuffer} audioBuffer
+     * @param {number} startIndex 開始位置（サンプル）
+     * @param {number} endIndex 終了位置（サンプル、この位置は含まない）
+     * @returns {Float32Array}
      */
-    calculateZeroCrossingRate(timeData) {
-        let count = 0;
-        for (let i = 1; i < timeData.length; i++) {
-            if ((timeData[i - 1] < 0 && timeData[i] >= 0) || 
-                (timeData[i - 1] >= 0 && timeData[i] < 0)) {
-                count++;
+    mixToMono(audioBuffer, startIndex, endIndex) {
+        const pcm = new Float32Array(endIndex - startIndex);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const channelData = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < pcm.length; i++) {
+                pcm[i] += channelData[startIndex + i] / audioBuffer.numberOfChannels;
             }
         }
-        return count / timeData.length;
+        
+        return pcm;
     }
     
     /**
-     * 周波数帯域ごとのエネルギー分布を計算
-     * @private
-     * @param {Float32Array} freqData 
-     * @returns {Object} 帯域ごとのエネルギー
+     * 音声ファイル（Blob）をデコードして話者分離用の音声特性を抽出
+     * - 再生位置に依存しない固定ホップ長で解析するため、タブがバックグラウンドでも結果は変わらない
+     * @param {Blob} blob 音声または動画ファイル
+     * @param {Object} options オプション
+     * @param {Function} options.onProgress 特性抽出の進捗コールバック（0-1）
+     * @returns {Promise<Object>} { pcm, sampleRate, duration, audioFeatures }
      */
-    calculateBandEnergies(freqData) {
-        const bands = {
-            lowBand: 0,    // 低域（〜500Hz）
-            midBand: 0,    // 中域（500Hz〜2kHz）
-            highBand: 0    // 高域（2kHz〜）
-        };
-        
-        const nyquist = this.audioContext.sampleRate / 2;
-        const lowCutoff = 500 / nyquist * freqData.length;
-        const midCutoff = 2000 / nyquist * freqData.length;
+    async analyzeAudioBlob(blob, options = {}) {
+        const decoded = await this.decodeAudioBlob(blob);
         
-        // 各帯域のエネルギーを計算
-        for (let i = 0; i < freqData.length; i++) {
-            // dBから線形スケールへ変換
-            const magnitude = Math.pow(10, freqData[i] / 20);
-            
-            if (i < lowCutoff) {
-                bands.lowBand += magnitude;
-            } else if (i < midCutoff) {
-                bands.midBand += magnitude;
-            } else {
-                bands.highBand += magnitude;
-            }
-        }
+        const extractor = new AudioFeatureExtractor();
+        const audioFeatures = await extractor.extract(decoded.pcm, decoded.sampleRate, {
+            onProgress: options.onProgress
+        });
         
-        return bands;
-    }
-    
-    /**
-     * 録音された音声特性データを取得
-     * @returns {Array} 時系列の音声特性データ
-     */
-    getAudioFeatures() {
-        return this.audioFeatures;
-    }
-    
-    /**
-     * 音声特性データをリセット
-     */
-    resetAudioFeatures() {
-        this.audioFeatures = [];
+        return { ...decoded, audioFeatures };
     }
     
     /**
@@ -499,6 +498,12 @@ class AudioProcessor {
             clearTimeout(this.segmentTimerId);
         }
         
+        // PCM取得ノードを切断
+        if (this.pcmCaptureNode) {
+            this.pcmCaptureNode.disconnect();
+            this.pcmCaptureNode.onaudioprocess = null;
+        }
+        
         // 録音を停止
         if (this.mediaRecorder && this.isRecording) {
             this.mediaRecorder.stop();
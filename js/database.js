@@ -10,20 +10,82 @@ class AudioDatabase {
             transcripts: 'recordingId, segments, createdAt',
             audioChunks: 'recordingId, chunkIndex, audioBlob, duration'
         });
+
+        // バージョン2: 再処理のたびに文字起こし結果を版として残す
+        // transcriptsには現在表示する版を、transcriptVersionsにはすべての版を保存する
+        this.db.version(2).stores({
+            transcriptVersions: '++id, recordingId, [recordingId+version]'
+        }).upgrade(async tx => {
+            // modifyのコールバックは同期的に実行されるため、版の追加は先にまとめて行う
+            const transcripts = await tx.table('transcripts').toArray();
+            await tx.table('transcriptVersions').bulkAdd(transcripts.map(transcript => ({
+                recordingId: transcript.recordingId,
+                version: 1,
+                segments: transcript.segments,
+                createdAt: transcript.createdAt
+            })));
+
+            await tx.table('transcripts').toCollection().modify(transcript => {
+                transcript.version = 1;
+            });
+        });
+
+        // バージョン3: 録音ごとの話者名・処理条件・音声特性を保存する
+        // - recordings.speakerNames: 話者IDと表示名の対応
+        // - transcripts.metadata / transcriptVersions.metadata: モデルID、認識言語、話者分離の設定
+        // - audioFeatures: 抽出した音声特性の時系列（一覧の読み込みを軽くするため別テーブル）
+        // - recordingChunks: audioChunksはrecordingIdが主キーで2つ目以降のチャンクを保存できなかったため、
+        //   [recordingId+chunkIndex]を主キーとするテーブルに移行する
+        // Blobや配列はインデックスにできないため、あわせてインデックスから外す
+        this.db.version(3).stores({
+            recordings: '++id, name, date, duration',
+            transcripts: 'recordingId, createdAt',
+            recordingChunks: '[recordingId+chunkIndex], recordingId',
+            audioFeatures: 'recordingId'
+        }).upgrade(async tx => {
+            await tx.table('recordings').toCollection().modify(recording => {
+                if (!recording.speakerNames) {
+                    recording.speakerNames = {};
+                }
+            });
+
+            await tx.table('transcripts').toCollection().modify(transcript => {
+                if (!transcript.metadata) {
+                    transcript.metadata = {};
+                }
+            });
+
+            await tx.table('transcriptVersions').toCollection().modify(version => {
+                if (!version.metadata) {
+                    version.metadata = {};
+                }
+            });
+
+            const chunks = await tx.table('audioChunks').toArray();
+            await tx.table('recordingChunks').bulkPut(chunks);
+        });
+
+        // バージョン4: 移行済みの古い音声チャンクのテーブルを削除
+        this.db.version(4).stores({
+            audioChunks: null
+        });
     }
 
     /**
      * 新しい録音セッションを作成
      * @param {string} name 録音の名前
+     * @param {number|null} sampleRate 録音時のサンプリングレート（ファイルの取り込みなどで不明な場合はnull）
      * @returns {Promise<number>} 録音ID
      */
-    async createRecording(name = '新規録音') {
+    async createRecording(name = '新規録音', sampleRate = null) {
         const now = new Date();
         const id = await this.db.recordings.add({
             name: name,
             date: now.toISOString(),
             duration: 0,
-            blob: null
+            sampleRate: sampleRate,
+            blob: null,
+            speakerNames: {}
         });
         return id;
     }
@@ -37,7 +99,7 @@ class AudioDatabase {
      * @returns {Promise<number>} チャンクID
      */
     async saveAudioChunk(recordingId, chunkIndex, audioBlob, duration) {
-        return await this.db.audioChunks.add({
+        return await this.db.recordingChunks.put({
             recordingId,
             chunkIndex,
             audioBlob,
@@ -45,6 +107,36 @@ class AudioDatabase {
         });
     }
 
+    /**
+     * 録音の名前を変更
+     * @param {number} recordingId 録音ID
+     * @param {string} name 新しい名前
+     * @returns {Promise<number>}
+     */
+    async renameRecording(recordingId, name) {
+        return await this.db.recordings.update(recordingId, { name });
+    }
+
+    /**
+     * 録音の話者名を保存
+     * @param {number} recordingId 録音ID
+     * @param {Object} speakerNames 話者IDと表示名の対応
+     * @returns {Promise<number>}
+     */
+    async updateSpeakerNames(recordingId, speakerNames) {
+        return await this.db.recordings.update(recordingId, { speakerNames });
+    }
+
+    /**
+     * 録音の話者ごとの色を保存
+     * @param {number} recordingId 録音ID
+     * @param {Object} speakerColors 話者IDとカラーコードの対応（既定の色の話者は含めない）
+     * @returns {Promise<number>}
+     */
+    async updateSpeakerColors(recordingId, speakerColors) {
+        return await this.db.recordings.update(recordingId, { speakerColors });
+    }
+
     /**
      * 録音の最終的なBlobを更新
      * @param {number} recordingId 録音ID
@@ -60,7 +152,7 @@ class AudioDatabase {
     }
 
     /**
-     * 文字起こし結果を保存
+     * 文字起こし結果を保存（現在の版を上書き）
      * @param {number} recordingId 録音ID
      * @param {Array} segments 文字起こしセグメント
      * @returns {Promise<number>} 
@@ -71,19 +163,178 @@ class AudioDatabase {
             .where({ recordingId })
             .first();
         
-        if (existingTranscript) {
+        if (!existingTranscript) {
+            return await this.addTranscriptVersion(recordingId, segments);
+        }
+
+        const now = new Date().toISOString();
+        const version = existingTranscript.version || 1;
+
+        return await this.db.transaction('rw', this.db.transcripts, this.db.transcriptVersions, async () => {
+            await this.db.transcriptVersions
+                .where('[recordingId+version]')
+                .equals([recordingId, version])
+                .modify({ segments, updatedAt: now });
+
             return await this.db.transcripts.update(recordingId, {
                 segments: segments,
-                updatedAt: new Date().toISOString()
+                version,
+                updatedAt: now
             });
-        } else {
-            return await this.db.transcripts.add({
+        });
+    }
+
+    /**
+     * 文字起こし結果を新しい版として保存し、現在の版にする（以前の版は残す）
+     * @param {number} recordingId 録音ID
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} metadata 処理条件などの付加情報（モデルID、認識言語、最大話者数、乱数シード）
+     * @param {Array} chunks 音声認識モデルが出力したそのままのチャンク（編集しても変わらない）
+     * @returns {Promise<number>} 追加した版の番号
+     */
+    async addTranscriptVersion(recordingId, segments, metadata = {}, chunks = []) {
+        const now = new Date().toISOString();
+
+        return await this.db.transaction('rw', this.db.transcripts, this.db.transcriptVersions, async () => {
+            const versions = await this.db.transcriptVersions
+                .where({ recordingId })
+                .toArray();
+            const version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+
+            await this.db.transcriptVersions.add({
+                recordingId,
+                version,
+                segments,
+                metadata,
+                chunks,
+                createdAt: now
+            });
+
+            const existingTranscript = await this.db.transcripts.get(recordingId);
+            await this.db.transcripts.put({
                 recordingId,
                 segments,
-                createdAt: new Date().toISOString(),
+                version,
+                metadata,
+                chunks,
+                createdAt: existingTranscript ? existingTranscript.createdAt : now,
+                updatedAt: now
+            });
+
+            return version;
+        });
+    }
+
+    /**
+     * 特定の録音の文字起こし結果の版をすべて取得
+     * @param {number} recordingId 録音ID
+     * @returns {Promise<Array>} 版の配列（古い順）
+     */
+    async getTranscriptVersions(recordingId) {
+        return await this.db.transcriptVersions
+            .where({ recordingId })
+            .sortBy('version');
+    }
+
+    /**
+     * 指定した版を現在の文字起こし結果にする
+     * @param {number} recordingId 録音ID
+     * @param {number} version 版の番号
+     * @returns {Promise<Object|null>} 切り替えた版
+     */
+    async setCurrentTranscriptVersion(recordingId, version) {
+        return await this.db.transaction('rw', this.db.transcripts, this.db.transcriptVersions, async () => {
+            const selected = await this.db.transcriptVersions
+                .where('[recordingId+version]')
+                .equals([recordingId, version])
+                .first();
+
+            if (!selected) {
+                return null;
+            }
+
+            await this.db.transcripts.update(recordingId, {
+                segments: selected.segments,
+                version,
+                metadata: selected.metadata || {},
+                chunks: selected.chunks || [],
                 updatedAt: new Date().toISOString()
             });
-        }
+
+            return selected;
+        });
+    }
+
+    /**
+     * 書き出されたセッションから録音と文字起こし結果の全版を新しい録音として作成
+     * @param {Object} session TranscriptExporter.parseSessionJSON()で読み込んだセッション
+     * @returns {Promise<number>} 作成した録音ID
+     */
+    async importRecording(session) {
+        const { recording, transcripts, currentVersion, audioBlob } = session;
+
+        return await this.db.transaction('rw', this.db.recordings, this.db.transcripts, this.db.transcriptVersions, async () => {
+            const recordingId = await this.db.recordings.add({
+                name: recording.name,
+                date: recording.date,
+                duration: recording.duration,
+                sampleRate: recording.sampleRate,
+                blob: audioBlob,
+                speakerNames: recording.speakerNames,
+                speakerColors: recording.speakerColors
+            });
+
+            if (transcripts.length === 0) {
+                return recordingId;
+            }
+
+            await this.db.transcriptVersions.bulkAdd(transcripts.map(transcript => ({
+                recordingId,
+                version: transcript.version,
+                segments: transcript.segments,
+                metadata: transcript.metadata,
+                chunks: transcript.chunks,
+                createdAt: transcript.createdAt,
+                updatedAt: transcript.updatedAt
+            })));
+
+            const current = transcripts.find(t => t.version === currentVersion) || transcripts[transcripts.length - 1];
+            await this.db.transcripts.put({
+                recordingId,
+                segments: current.segments,
+                version: current.version,
+                metadata: current.metadata,
+                chunks: current.chunks,
+                createdAt: transcripts[0].createdAt,
+                updatedAt: current.updatedAt
+            });
+
+            return recordingId;
+        });
+    }
+
+    /**
+     * 抽出した音声特性の時系列を保存
+     * @param {number} recordingId 録音ID
+     * @param {Array} frames 時系列の音声特性データ
+     * @returns {Promise<number>}
+     */
+    async saveAudioFeatures(recordingId, frames) {
+        return await this.db.audioFeatures.put({
+            recordingId,
+            frames,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 保存された音声特性の時系列を取得
+     * @param {number} recordingId 録音ID
+     * @returns {Promise<Array|null>} 時系列の音声特性データ
+     */
+    async getAudioFeatures(recordingId) {
+        const stored = await this.db.audioFeatures.get(recordingId);
+        return stored ? stored.frames : null;
     }
 
     /**
@@ -94,17 +345,58 @@ class AudioDatabase {
         return await this.db.recordings.toArray();
     }
 
+    /**
+     * 録音セッションを取得
+     * @param {number} recordingId 録音ID
+     * @returns {Promise<Object|undefined>} 録音セッション
+     */
+    async getRecording(recordingId) {
+        return await this.db.recordings.get(recordingId);
+    }
+
+    /**
+     * 録音の音声データを取得
+     * 録音全体のBlobがない場合（録音が途中で中断された場合など）は音声チャンクを連結して返す
+     * @param {number} recordingId 録音ID
+     * @returns {Promise<Blob|null>} 音声データ
+     */
+    async getRecordingAudio(recordingId) {
+        const recording = await this.getRecording(recordingId);
+        if (!recording) {
+            return null;
+        }
+
+        if (recording.blob) {
+            return recording.blob;
+        }
+
+        const chunks = await this.getAudioChunks(recordingId);
+        if (chunks.length === 0) {
+            return null;
+        }
+
+        return new Blob(chunks.map(chunk => chunk.audioBlob), { type: 'audio/webm' });
+    }
+
     /**
      * 特定の録音に関連付けられた音声チャンクを取得
      * @param {number} recordingId 録音ID
      * @returns {Promise<Array>} 音声チャンクの配列
      */
     async getAudioChunks(recordingId) {
-        return await this.db.audioChunks
+        return await this.db.recordingChunks
             .where({ recordingId })
             .sortBy('chunkIndex');
     }
 
+    /**
+     * すべての録音の現在の文字起こし結果を取得
+     * @returns {Promise<Array>} 文字起こし結果の配列
+     */
+    async getAllTranscripts() {
+        return await this.db.transcripts.toArray();
+    }
+
     /**
      * 特定の録音の文字起こし結果を取得
      * @param {number} recordingId 録音ID
@@ -124,10 +416,16 @@ class AudioDatabase {
     async deleteRecording(recordingId) {
         await this.db.transaction('rw', 
             this.db.recordings, 
-            this.db.audioChunks, 
+            this.db.recordingChunks, 
             this.db.transcripts, 
+            this.db.transcriptVersions, 
+            this.db.audioFeatures, 
             async () => {
-                await this.db.audioChunks
+                await this.db.recordingChunks
+                    .where({ recordingId })
+                    .delete();
+                
+                await this.db.audioFeatures
                     .where({ recordingId })
                     .delete();
                 
@@ -135,12 +433,35 @@ class AudioDatabase {
                     .where({ recordingId })
                     .delete();
                 
+                await this.db.transcriptVersions
+                    .where({ recordingId })
+                    .delete();
+                
                 await this.db.recordings
                     .where({ id: recordingId })
                     .delete();
             });
     }
 
+    /**
+     * 複数の録音とその関連データをまとめて削除
+     * @param {Array<number>} recordingIds 録音IDの配列
+     * @returns {Promise<void>}
+     */
+    async deleteRecordings(recordingIds) {
+        await this.db.transaction('rw',
+            this.db.recordings,
+            this.db.recordingChunks,
+            this.db.transcripts,
+            this.db.transcriptVersions,
+            this.db.audioFeatures,
+            async () => {
+                for (const recordingId of recordingIds) {
+                    await this.deleteRecording(recordingId);
+                }
+            });
+    }
+
     /**
      * データベース内のデータをすべて消去
      * @returns {Promise<void>}
@@ -148,11 +469,15 @@ class AudioDatabase {
     async clearAllData() {
         await this.db.transaction('rw',
             this.db.recordings,
-            this.db.audioChunks,
+            this.db.recordingChunks,
             this.db.transcripts,
+            this.db.transcriptVersions,
+            this.db.audioFeatures,
             async () => {
-                await this.db.audioChunks.clear();
+                await this.db.recordingChunks.clear();
+                await this.db.audioFeatures.clear();
                 await this.db.transcripts.clear();
+                await this.db.transcriptVersions.clear();
                 await this.db.recordings.clear();
             });
     }
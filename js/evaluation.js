@@ -0,0 +1,453 @@
+/**
+ * 評価モジュール
+ * - 話者分離の結果を正解のアノテーション（RTTMまたはJSON形式のセッション）と比較して
+ *   話者分離誤り率（DER）とその内訳（発話の見逃し、誤検出、話者の取り違え）を計算
+ * - 仮説と正解の話者はハンガリアン法で重なりが最大になるよう対応付ける
+ * - 文字起こし結果の文字誤り率（CER）を計算
+ * - ブラウザとNode.js（tools/evaluate.js）のどちらからでも使用できる
+ */
+class DiarizationEvaluator {
+    /**
+     * @param {Object} options オプション
+     * @param {number} options.collar 正解の発話境界の前後で採点しない時間（秒）
+     */
+    constructor(options = {}) {
+        this.collar = options.collar || 0;
+        
+        // CERの計算前に取り除く文字（空白と句読点・記号）
+        this.ignoredCharsPattern = /[\s、。，．,.!?！？「」『』（）()\[\]【】・…"'“”‘’:：;；]/g;
+    }
+    
+    /**
+     * 正解または仮説のファイルを読み込んでセグメントに変換
+     * JSON形式のセッション（TranscriptExporter.exportToJSON()）であれば表示中の版を、それ以外はRTTMとして読み込む
+     * @param {string} text ファイルの内容
+     * @returns {Array} { speaker, start, end, text }の配列
+     */
+    parseAnnotation(text) {
+        const trimmed = text.trim();
+        
+        if (trimmed.startsWith('{')) {
+            return this.parseSessionJSON(trimmed);
+        }
+        
+        return this.parseRTTM(trimmed);
+    }
+    
+    /**
+     * JSON形式のセッションから表示中の版のセグメントを取り出す
+     * @param {string} text JSON形式のテキスト
+     * @returns {Array} { speaker, start, end, text }の配列
+     */
+    parseSessionJSON(text) {
+        const data = JSON.parse(text);
+        
+        if (data.format !== 'audio-note-session' || !Array.isArray(data.transcripts)) {
+            throw new Error('Audio Noteのセッションファイルではありません');
+        }
+        
+        const current = data.transcripts.find(t => t.version === data.currentVersion)
+            || data.transcripts[data.transcripts.length - 1];
+        if (!current) {
+            return [];
+        }
+        
+        return current.segments.map(segment => ({
+            speaker: String(segment.speaker),
+            start: segment.start,
+            end: segment.end,
+            text: segment.text || ''
+        }));
+    }
+    
+    /**
+     * RTTM形式のテキストからSPEAKER行を読み込む
+     * @param {string} text RTTM形式のテキスト
+     * @returns {Array} { speaker, start, end, text }の配列
+     */
+    parseRTTM(text) {
+        const segments = [];
+        
+        text.split(/\r?\n/).forEach((line, i) => {
+            const fields = line.trim().split(/\s+/);
+            if (fields[0] !== 'SPEAKER') return;
+            
+            const start = parseFloat(fields[3]);
+            const duration = parseFloat(fields[4]);
+            if (!Number.isFinite(start) || !Number.isFinite(duration) || fields.length < 8) {
+                throw new Error(`RTTMの${i + 1}行目の形式が正しくありません`);
+            }
+            
+            segments.push({
+                speaker: fields[7],
+                start,
+                end: start + duration,
+                text: ''
+            });
+        });
+        
+        return segments;
+    }
+    
+    /**
+     * 話者分離誤り率（DER）を計算
+     * @param {Array} reference 正解のセグメント
+     * @param {Array} hypothesis 仮説（アプリの出力）のセグメント
+     * @returns {Object} { der, missedSpeechRate, falseAlarmRate, confusionRate,
+     *   missedSpeech, falseAlarm, confusion, scoredSpeech, mapping }
+     *   時間はすべて秒、derと各割合は採点対象の正解の発話時間の合計に対する比率
+     */
+    computeDER(reference, hypothesis) {
+        const refSegments = this.normalizeSegments(reference);
+        const hypSegments = this.normalizeSegments(hypothesis);
+        
+        const regions = this.createScoringRegions(refSegments, hypSegments);
+        const mapping = this.findSpeakerMapping(regions);
+        
+        let scoredSpeech = 0;
+        let missedSpeech = 0;
+        let falseAlarm = 0;
+        let confusion = 0;
+        
+        regions.forEach(({ duration, refSpeakers, hypSpeakers }) => {
+            const correct = refSpeakers.filter(speaker => hypSpeakers.includes(mapping[speaker])).length;
+            
+            scoredSpeech += duration * refSpeakers.length;
+            missedSpeech += duration * Math.max(0, refSpeakers.length - hypSpeakers.length);
+            falseAlarm += duration * Math.max(0, hypSpeakers.length - refSpeakers.length);
+            confusion += duration * (Math.min(refSpeakers.length, hypSpeakers.length) - correct);
+        });
+        
+        const ratio = value => scoredSpeech > 0 ? value / scoredSpeech : 0;
+        
+        return {
+            der: ratio(missedSpeech + falseAlarm + confusion),
+            missedSpeechRate: ratio(missedSpeech),
+            falseAlarmRate: ratio(falseAlarm),
+            confusionRate: ratio(confusion),
+            missedSpeech,
+            falseAlarm,
+            confusion,
+            scoredSpeech,
+            mapping
+        };
+    }
+    
+    /**
+     * 文字誤り率（CER）を計算（空白・句読点を除き、全角・半角の違いは無視する）
+     * @param {string} referenceText 正解のテキスト
+     * @param {string} hypothesisText 仮説のテキスト
+     * @returns {Object} { cer, substitutions, deletions, insertions, referenceLength }
+     */
+    computeCER(referenceText, hypothesisText) {
+        const ref = Array.from(this.normalizeText(referenceText));
+        const hyp = Array.from(this.normalizeText(hypothesisText));
+        
+        // 編集距離を2行分の表で計算し、置換・削除・挿入の内訳も同時に数える
+        const width = hyp.length + 1;
+        let previous = this.createEditRow(width);
+        let current = this.createEditRow(width);
+        
+        for (let j = 0; j < width; j++) {
+            previous.distance[j] = j;
+            previous.insertions[j] = j;
+        }
+        
+        for (let i = 1; i <= ref.length; i++) {
+            current.distance[0] = i;
+            current.substitutions[0] = 0;
+            current.deletions[0] = i;
+            current.insertions[0] = 0;
+            
+            for (let j = 1; j < width; j++) {
+                const isMatch = ref[i - 1] === hyp[j - 1];
+                const substitution = previous.distance[j - 1] + (isMatch ? 0 : 1);
+                const deletion = previous.distance[j] + 1;
+                const insertion = current.distance[j - 1] + 1;
+                
+                if (substitution <= deletion && substitution <= insertion) {
+                    this.copyEditCell(current, j, previous, j - 1, substitution);
+                    if (!isMatch) current.substitutions[j]++;
+                } else if (deletion <= insertion) {
+                    this.copyEditCell(current, j, previous, j, deletion);
+                    current.deletions[j]++;
+                } else {
+                    this.copyEditCell(current, j, current, j - 1, insertion);
+                    current.insertions[j]++;
+                }
+            }
+            
+            [previous, current] = [current, previous];
+        }
+        
+        const last = hyp.length;
+        const distance = previous.distance[last];
+        const substitutions = previous.substitutions[last];
+        const deletions = previous.deletions[last];
+        const insertions = previous.insertions[last];
+        
+        return {
+            cer: ref.length > 0 ? distance / ref.length : (hyp.length > 0 ? 1 : 0),
+            substitutions,
+            deletions,
+            insertions,
+            referenceLength: ref.length
+        };
+    }
+    
+    /**
+     * 編集距離の表の1行分を作成
+     * @private
+     * @param {number} width 列数
+     * @returns {Object} { distance, substitutions, deletions, insertions }
+     */
+    createEditRow(width) {
+        return {
+            distance: new Int32Array(width),
+            substitutions: new Int32Array(width),
+            deletions: new Int32Array(width),
+            insertions: new Int32Array(width)
+        };
+    }
+    
+    /**
+     * 編集距離の表のセルを写す
+     * @private
+     * @param {Object} target 写し先の行
+     * @param {number} targetIndex
+     * @param {Object} source 写し元の行
+     * @param {number} sourceIndex
+     * @param {number} distance 写し先の距離
+     */
+    copyEditCell(target, targetIndex, source, sourceIndex, distance) {
+        target.distance[targetIndex] = distance;
+        target.substitutions[targetIndex] = source.substitutions[sourceIndex];
+        target.deletions[targetIndex] = source.deletions[sourceIndex];
+        target.insertions[targetIndex] = source.insertions[sourceIndex];
+    }
+    
+    /**
+     * DERと（正解にテキストがあれば）CERをまとめて計算
+     * @param {Array} reference 正解のセグメント
+     * @param {Array} hypothesis 仮説のセグメント
+     * @param {Object} options オプション
+     * @param {string} options.referenceText CER用の正解テキスト（省略時は正解のセグメントのテキスト）
+     * @returns {Object} { diarization, transcription }（正解のテキストがなければtranscriptionはnull）
+     */
+    evaluate(reference, hypothesis, options = {}) {
+        const referenceText = options.referenceText !== undefined
+            ? options.referenceText
+            : this.joinSegmentTexts(reference);
+        
+        return {
+            diarization: this.computeDER(reference, hypothesis),
+            transcription: referenceText
+                ? this.computeCER(referenceText, this.joinSegmentTexts(hypothesis))
+                : null
+        };
+    }
+    
+    /**
+     * 時刻順に並べ、長さのないセグメントを除く
+     * @private
+     * @param {Array} segments
+     * @returns {Array}
+     */
+    normalizeSegments(segments) {
+        return segments
+            .filter(segment => segment.end > segment.start)
+            .map(segment => ({ speaker: String(segment.speaker), start: segment.start, end: segment.end }))
+            .sort((a, b) => a.start - b.start);
+    }
+    
+    /**
+     * すべての発話境界で時間軸を区切り、区間ごとに発話中の話者を求める
+     * collarが指定されている場合は正解の境界の前後を採点から除く
+     * @private
+     * @param {Array} refSegments
+     * @param {Array} hypSegments
+     * @returns {Array} { duration, refSpeakers, hypSpeakers }の配列
+     */
+    createScoringRegions(refSegments, hypSegments) {
+        const boundaries = new Set();
+        refSegments.concat(hypSegments).forEach(segment => {
+            boundaries.add(segment.start);
+            boundaries.add(segment.end);
+        });
+        
+        // 採点しない区間（正解の境界 ± collar）
+        const excluded = [];
+        if (this.collar > 0) {
+            refSegments.forEach(segment => {
+                [segment.start, segment.end].forEach(time => {
+                    excluded.push([time - this.collar, time + this.collar]);
+                    boundaries.add(Math.max(0, time - this.collar));
+                    boundaries.add(time + this.collar);
+                });
+            });
+        }
+        
+        const times = Array.from(boundaries).sort((a, b) => a - b);
+        const activeSpeakers = (segments, time) => Array.from(new Set(
+            segments
+                .filter(segment => segment.start <= time && time < segment.end)
+                .map(segment => segment.speaker)
+        ));
+        
+        const regions = [];
+        for (let i = 0; i < times.length - 1; i++) {
+            const duration = times[i + 1] - times[i];
+            if (duration <= 0) continue;
+            
+            const middle = (times[i] + times[i + 1]) / 2;
+            if (excluded.some(([start, end]) => start <= middle && middle < end)) continue;
+            
+            const refSpeakers = activeSpeakers(refSegments, middle);
+            const hypSpeakers = activeSpeakers(hypSegments, middle);
+            if (refSpeakers.length === 0 && hypSpeakers.length === 0) continue;
+            
+            regions.push({ duration, refSpeakers, hypSpeakers });
+        }
+        
+        return regions;
+    }
+    
+    /**
+     * 重なる時間の合計が最大になるよう正解と仮説の話者を1対1で対応付ける
+     * @private
+     * @param {Array} regions createScoringRegions()の結果
+     * @returns {Object} 正解の話者IDから仮説の話者IDへの対応（対応がない話者は含まない）
+     */
+    findSpeakerMapping(regions) {
+        const refIds = Array.from(new Set(regions.flatMap(region => region.refSpeakers))).sort();
+        const hypIds = Array.from(new Set(regions.flatMap(region => region.hypSpeakers))).sort();
+        
+        const overlap = refIds.map(() => hypIds.map(() => 0));
+        regions.forEach(({ duration, refSpeakers, hypSpeakers }) => {
+            refSpeakers.forEach(ref => {
+                hypSpeakers.forEach(hyp => {
+                    overlap[refIds.indexOf(ref)][hypIds.indexOf(hyp)] += duration;
+                });
+            });
+        });
+        
+        // 重なりの最大化を、正方行列のコスト最小化問題として解く
+        const size = Math.max(refIds.length, hypIds.length);
+        const cost = [];
+        for (let i = 0; i < size; i++) {
+            cost.push([]);
+            for (let j = 0; j < size; j++) {
+                cost[i].push(i < refIds.length && j < hypIds.length ? -overlap[i][j] : 0);
+            }
+        }
+        
+        const assignment = this.solveAssignment(cost);
+        const mapping = {};
+        
+        assignment.forEach((j, i) => {
+            if (i < refIds.length && j < hypIds.length && overlap[i][j] > 0) {
+                mapping[refIds[i]] = hypIds[j];
+            }
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * ハンガリアン法で割り当て問題を解く
+     * @private
+     * @param {Array<Array<number>>} cost n×nのコスト行列
+     * @returns {Array<number>} 行iに割り当てられた列のインデックス
+     */
+    solveAssignment(cost) {
+        const n = cost.length;
+        const u = new Array(n + 1).fill(0);
+        const v = new Array(n + 1).fill(0);
+        const p = new Array(n + 1).fill(0); // 列jに割り当てられた行（1始まり）
+        const way = new Array(n + 1).fill(0);
+        
+        for (let i = 1; i <= n; i++) {
+            p[0] = i;
+            let j0 = 0;
+            const minv = new Array(n + 1).fill(Infinity);
+            const used = new Array(n + 1).fill(false);
+            
+            do {
+                used[j0] = true;
+                const i0 = p[j0];
+                let delta = Infinity;
+                let j1 = 0;
+                
+                for (let j = 1; j <= n; j++) {
+                    if (used[j]) continue;
+                    
+                    const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                    if (reduced < minv[j]) {
+                        minv[j] = reduced;
+                        way[j] = j0;
+                    }
+                    if (minv[j] < delta) {
+                        delta = minv[j];
+                        j1 = j;
+                    }
+                }
+                
+                for (let j = 0; j <= n; j++) {
+                    if (used[j]) {
+                        u[p[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minv[j] -= delta;
+                    }
+                }
+                
+                j0 = j1;
+            } while (p[j0] !== 0);
+            
+            // 増加路に沿って割り当てを更新
+            do {
+                const j1 = way[j0];
+                p[j0] = p[j1];
+                j0 = j1;
+            } while (j0 !== 0);
+        }
+        
+        const assignment = new Array(n);
+        for (let j = 1; j <= n; j++) {
+            assignment[p[j] - 1] = j - 1;
+        }
+        
+        return assignment;
+    }
+    
+    /**
+     * CERの比較用にテキストを正規化
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    normalizeText(text) {
+        return String(text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(this.ignoredCharsPattern, '');
+    }
+    
+    /**
+     * セグメントのテキストを時刻順に連結
+     * @private
+     * @param {Array} segments
+     * @returns {string}
+     */
+    joinSegmentTexts(segments) {
+        return [...segments]
+            .sort((a, b) => a.start - b.start)
+            .map(segment => segment.text || '')
+            .join('');
+    }
+}
+
+// Node.js（tools/evaluate.js）から読み込めるようにする
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiarizationEvaluator };
+}
@@ -3,8 +3,24 @@
  * - 文字起こし結果を様々な形式でエクスポート
  */
 class TranscriptExporter {
+    constructor() {
+        // 行頭に置かない文字（句読点、閉じ括弧、小書きの仮名、長音など）
+        this.noLineStartChars = '、。，．,.・：；:;？！?!゛゜ヽヾゝゞ々ー〜）］｝」』】〕〉》”’)]}%ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ';
+        
+        // 行末に置かない文字（開き括弧など）
+        this.noLineEndChars = '（［｛「『【〔〈《“‘([{';
+        
+        // この文字の直後は改行位置として優先する
+        this.preferredBreakChars = '、。，．,.？！?! 　';
+        
+        // セッションのJSON形式の識別子と版（互換性のない変更をしたら版を上げる）
+        this.sessionFormat = 'audio-note-session';
+        this.sessionFormatVersion = 1;
+    }
+    
     /**
-     * 文字起こし結果をCSV形式でエクスポート
+     * 文字起こし結果をCSV形式でエクスポート（RFC 4180準拠）
+     * 区切り文字・引用符・改行を含む値は引用符で囲み、行はCRLFで区切る
      * @param {Array} segments 文字起こしセグメント
      * @param {Object} options オプション
      * @returns {string} CSV形式のテキスト
@@ -13,31 +29,112 @@ class TranscriptExporter {
         // デフォルトオプション
         const defaultOptions = {
             includeTimestamps: true,
-            delimiter: ',',
+            includeSegmentId: false, // セグメントの通し番号
+            includeDuration: false, // 発話の長さ（秒）
+            includeSpeakerId: false, // 話者ID（A, B, ...）の列を話者名とは別に出力
+            includeLanguage: null, // 言語の列（nullの場合は複数の言語を含むときだけ出力）
+            includeTranslation: null, // 英訳の列（nullの場合は英訳があるときだけ出力）
+            delimiter: ',', // ',' または '\t'
             speakerNames: {} // 話者名のカスタマイズ、例: {A: '田中', B: '佐藤'}
         };
         
         const opts = { ...defaultOptions, ...options };
         
-        // ヘッダー行
-        let csvContent = opts.includeTimestamps
-            ? `話者${opts.delimiter}開始時間${opts.delimiter}終了時間${opts.delimiter}内容\n`
-            : `話者${opts.delimiter}内容\n`;
+        const columns = [];
+        if (opts.includeSegmentId) {
+            columns.push({ header: 'ID', value: (segment, index) => index + 1 });
+        }
+        if (opts.includeSpeakerId) {
+            columns.push({ header: '話者ID', value: segment => segment.speaker });
+        }
+        columns.push({
+            header: '話者',
+            value: segment => opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`
+        });
+        if (opts.includeTimestamps) {
+            columns.push({ header: '開始時間', value: segment => this.formatTime(segment.start) });
+            columns.push({ header: '終了時間', value: segment => this.formatTime(segment.end) });
+        }
+        if (opts.includeDuration) {
+            columns.push({ header: '長さ(秒)', value: segment => (segment.end - segment.start).toFixed(3) });
+        }
+        if (opts.includeLanguage === null ? this.hasMultipleLanguages(segments) : opts.includeLanguage) {
+            columns.push({ header: '言語', value: segment => segment.language || '' });
+        }
+        columns.push({ header: '内容', value: segment => segment.text });
+        if (opts.includeTranslation === null ? this.hasTranslation(segments) : opts.includeTranslation) {
+            columns.push({ header: '英訳', value: segment => segment.translation || '' });
+        }
         
-        // データ行
-        segments.forEach(segment => {
-            const speakerName = opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
-            
-            if (opts.includeTimestamps) {
-                const startTime = this.formatTime(segment.start);
-                const endTime = this.formatTime(segment.end);
-                csvContent += `${speakerName}${opts.delimiter}${startTime}${opts.delimiter}${endTime}${opts.delimiter}${segment.text}\n`;
-            } else {
-                csvContent += `${speakerName}${opts.delimiter}${segment.text}\n`;
-            }
+        const toRow = values => values
+            .map(value => this.escapeCsvField(value, opts.delimiter))
+            .join(opts.delimiter);
+        
+        const rows = [toRow(columns.map(column => column.header))];
+        segments.forEach((segment, index) => {
+            rows.push(toRow(columns.map(column => column.value(segment, index))));
         });
         
-        return csvContent;
+        return rows.map(row => `${row}\r\n`).join('');
+    }
+    
+    /**
+     * CSVの値をエスケープ
+     * 区切り文字、二重引用符、改行を含む場合は二重引用符で囲み、二重引用符は重ねる
+     * @private
+     * @param {*} value
+     * @param {string} delimiter 区切り文字
+     * @returns {string}
+     */
+    escapeCsvField(value, delimiter) {
+        const text = value === null || value === undefined ? '' : String(value);
+        
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        
+        return text;
+    }
+    
+    /**
+     * テキストをファイルの文字コードに変換
+     * Shift_JISへの変換にはencoding-japaneseを使用する（変換できない文字は「?」になる）
+     * @param {string} content テキスト
+     * @param {string} encoding 'utf-8' | 'utf-8-bom' | 'shift_jis'
+     * @returns {string|Uint8Array} ダウンロードするデータ
+     */
+    encodeText(content, encoding = 'utf-8') {
+        switch (encoding) {
+            case 'utf-8-bom':
+                // ExcelがUTF-8と判定できるようにBOMを付ける
+                return '\uFEFF' + content;
+            
+            case 'shift_jis':
+                if (typeof Encoding === 'undefined') {
+                    throw new Error('Shift_JISへの変換ライブラリが読み込まれていません');
+                }
+                return new Uint8Array(Encoding.convert(Encoding.stringToCode(content), {
+                    to: 'SJIS',
+                    from: 'UNICODE'
+                }));
+            
+            case 'utf-8':
+            default:
+                return content;
+        }
+    }
+    
+    /**
+     * CSVファイルのMIMEタイプを取得
+     * @param {string} delimiter 区切り文字
+     * @param {string} encoding 'utf-8' | 'utf-8-bom' | 'shift_jis'
+     * @returns {string}
+     */
+    getCSVMimeType(delimiter, encoding = 'utf-8') {
+        const baseType = delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv';
+        const charset = encoding === 'shift_jis' ? 'shift_jis' : 'utf-8';
+        
+        return `${baseType};charset=${charset}`;
     }
     
     /**
@@ -51,6 +148,7 @@ class TranscriptExporter {
         const defaultOptions = {
             includeTimestamps: true,
             includeHeader: true,
+            includeTranslation: true, // 英訳がある発話は発言内容の後に引用として追加
             speakerNames: {} // 話者名のカスタマイズ
         };
         
@@ -67,20 +165,29 @@ class TranscriptExporter {
             mdContent += `生成日時: ${now.toLocaleString()}\n\n`;
         }
         
+        // 言語が切り替わる発話に付ける表示
+        const languageMarkers = this.getLanguageMarkers(segments);
+        
         // セグメントごとに処理
-        segments.forEach(segment => {
+        segments.forEach((segment, index) => {
             const speakerName = opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
+            const languageMarker = languageMarkers[index] ? ` ${languageMarkers[index]}` : '';
             
             // 話者名と時間を表示
             if (opts.includeTimestamps) {
                 const timeRange = `${this.formatTime(segment.start)} - ${this.formatTime(segment.end)}`;
-                mdContent += `### ${speakerName} (${timeRange})\n\n`;
+                mdContent += `### ${speakerName} (${timeRange})${languageMarker}\n\n`;
             } else {
-                mdContent += `### ${speakerName}\n\n`;
+                mdContent += `### ${speakerName}${languageMarker}\n\n`;
             }
             
             // 発言内容
             mdContent += `${segment.text}\n\n`;
+            
+            // 英訳
+            if (opts.includeTranslation && segment.translation) {
+                mdContent += `> ${segment.translation}\n\n`;
+            }
         });
         
         return mdContent;
@@ -103,8 +210,11 @@ class TranscriptExporter {
         
         let textContent = '';
         
+        // 言語が切り替わる発話に付ける表示
+        const languageMarkers = this.getLanguageMarkers(segments);
+        
         // セグメントごとに処理
-        segments.forEach(segment => {
+        segments.forEach((segment, index) => {
             const speakerName = opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
             
             // 話者名と時間を表示
@@ -115,6 +225,10 @@ class TranscriptExporter {
                 textContent += `[${speakerName}] `;
             }
             
+            if (languageMarkers[index]) {
+                textContent += `${languageMarkers[index]} `;
+            }
+            
             // 発言内容
             textContent += `${segment.text}\n`;
         });
@@ -122,6 +236,1272 @@ class TranscriptExporter {
         return textContent;
     }
     
+    /**
+     * 文字起こし結果をSRT字幕形式でエクスポート
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {string} SRT形式のテキスト
+     */
+    exportToSRT(segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            maxCharsPerLine: 20,
+            maxLines: 2,
+            maxCueDuration: 6,
+            speakerLabel: 'prefix', // 'none' | 'prefix'
+            translation: 'none', // 'none' | 'append'（英訳を下に追加）| 'only'（英訳のみ）
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const cues = this.createSubtitleCues(segments, opts);
+        
+        return cues.map((cue, i) => {
+            const lines = [...cue.lines];
+            if (cue.languageMarker) {
+                lines[0] = `${cue.languageMarker} ${lines[0]}`;
+            }
+            if (opts.speakerLabel !== 'none') {
+                lines[0] = `${cue.speakerName}: ${lines[0]}`;
+            }
+            lines.push(...cue.translationLines);
+            
+            const timeRange = `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`;
+            return `${i + 1}\n${timeRange}\n${lines.join('\n')}\n`;
+        }).join('\n');
+    }
+    
+    /**
+     * 文字起こし結果をWebVTT字幕形式でエクスポート
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {string} WebVTT形式のテキスト
+     */
+    exportToVTT(segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            maxCharsPerLine: 20,
+            maxLines: 2,
+            maxCueDuration: 6,
+            speakerLabel: 'voice', // 'none' | 'prefix' | 'voice'
+            translation: 'none', // 'none' | 'append'（英訳を下に追加）| 'only'（英訳のみ）
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const cues = this.createSubtitleCues(segments, opts);
+        
+        const isMultilingual = opts.translation !== 'only' && this.hasMultipleLanguages(segments);
+        
+        let vttContent = 'WEBVTT\n\n';
+        
+        cues.forEach((cue, i) => {
+            const lines = cue.lines.map(line => this.escapeVttText(line));
+            const speakerName = this.escapeVttText(cue.speakerName);
+            
+            // 複数の言語を含む場合は言語タグで各キューの言語を示す
+            if (isMultilingual && cue.language) {
+                for (let j = 0; j < lines.length; j++) {
+                    lines[j] = `<lang ${this.escapeVttText(cue.language)}>${lines[j]}</lang>`;
+                }
+            }
+            
+            // 英訳の行は英語の言語タグを付けて元の文の下に置く
+            cue.translationLines.forEach(line => {
+                lines.push(`<lang en>${this.escapeVttText(line)}</lang>`);
+            });
+            
+            if (opts.speakerLabel === 'voice') {
+                // 声タグは改行をまたげないため行ごとに付ける
+                for (let j = 0; j < lines.length; j++) {
+                    lines[j] = `<v ${speakerName}>${lines[j]}</v>`;
+                }
+            } else if (opts.speakerLabel === 'prefix') {
+                lines[0] = `${speakerName}: ${lines[0]}`;
+            }
+            
+            const timeRange = `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`;
+            vttContent += `${i + 1}\n${timeRange}\n${lines.join('\n')}\n\n`;
+        });
+        
+        return vttContent;
+    }
+    
+    /**
+     * セグメントを字幕の表示単位（キュー）に分割
+     * 長いセグメントは文字数と表示時間の上限に収まるよう分割し、時間は文字数の比率で配分する
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} opts 字幕のオプション
+     * @returns {Array} { start, end, speakerName, language, languageMarker, lines, translationLines }の配列
+     */
+    createSubtitleCues(segments, opts) {
+        // 英訳のみの字幕は英訳を本文として分割する
+        if (opts.translation === 'only') {
+            segments = segments.map(segment => ({ ...segment, text: segment.translation || '', language: 'en' }));
+        }
+        
+        const cues = [];
+        const maxCharsPerCue = opts.maxCharsPerLine * opts.maxLines;
+        const languageMarkers = this.getLanguageMarkers(segments);
+        
+        segments.forEach((segment, index) => {
+            const text = (segment.text || '').replace(/\s+/g, ' ').trim();
+            if (!text) return;
+            
+            const speakerName = opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
+            const duration = Math.max(0, segment.end - segment.start);
+            
+            // 表示時間の上限から必要なキューの数を求め、1キューあたりの文字数を決める
+            const cueCount = Math.max(1, Math.ceil(duration / opts.maxCueDuration));
+            const charsPerCue = Math.min(maxCharsPerCue, Math.ceil(text.length / cueCount));
+            
+            const cueTexts = [];
+            this.wrapText(text, charsPerCue).forEach(piece => {
+                // 行の長さがそろうように、必要な行数で均等に折り返す
+                const lineCount = Math.ceil(piece.length / opts.maxCharsPerLine);
+                const lines = this.wrapText(piece, Math.ceil(piece.length / lineCount));
+                for (let i = 0; i < lines.length; i += opts.maxLines) {
+                    cueTexts.push(lines.slice(i, i + opts.maxLines));
+                }
+            });
+            
+            const totalChars = cueTexts.reduce((sum, lines) => sum + lines.join('').length, 0);
+            let charsBefore = 0;
+            
+            // 英訳を追加する場合は、各キューに元の文の文字数の比率で英訳の単語を配分する
+            const translationWords = opts.translation === 'append' && segment.translation
+                ? segment.translation.trim().split(/\s+/)
+                : [];
+            
+            cueTexts.forEach((lines, cueIndex) => {
+                const chars = lines.join('').length;
+                const start = segment.start + duration * (charsBefore / totalChars);
+                const firstWord = Math.round(translationWords.length * (charsBefore / totalChars));
+                charsBefore += chars;
+                const end = segment.start + duration * (charsBefore / totalChars);
+                const lastWord = Math.round(translationWords.length * (charsBefore / totalChars));
+                
+                // 英字は全角の半分程度の幅のため、1行に2倍の文字数まで入れる
+                const translationText = translationWords.slice(firstWord, lastWord).join(' ');
+                const translationLines = translationText
+                    ? this.wrapText(translationText, opts.maxCharsPerLine * 2)
+                    : [];
+                
+                cues.push({
+                    start,
+                    end: Math.max(end, start + 0.001),
+                    speakerName,
+                    language: segment.language || null,
+                    // 言語の切り替わりはセグメントの最初のキューにだけ表示する
+                    languageMarker: cueIndex === 0 ? languageMarkers[index] : null,
+                    lines,
+                    translationLines
+                });
+            });
+        });
+        
+        return cues;
+    }
+    
+    /**
+     * セグメントが複数の言語を含むかどうか
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @returns {boolean}
+     */
+    hasMultipleLanguages(segments) {
+        return new Set(segments.map(segment => segment.language).filter(Boolean)).size > 1;
+    }
+    
+    /**
+     * 英訳を持つセグメントがあるかどうか
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @returns {boolean}
+     */
+    hasTranslation(segments) {
+        return segments.some(segment => segment.translation);
+    }
+    
+    /**
+     * 言語が切り替わるセグメントに付ける表示（例: '[en]'）を求める
+     * 複数の言語を含まない場合は何も付けない
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @returns {Array<string|null>} セグメントごとの表示
+     */
+    getLanguageMarkers(segments) {
+        if (!this.hasMultipleLanguages(segments)) {
+            return segments.map(() => null);
+        }
+        
+        // 最初のセグメントには開始時の言語を付け、以降は言語が変わったときだけ付ける
+        let previous = null;
+        return segments.map(segment => {
+            if (!segment.language || segment.language === previous) {
+                return null;
+            }
+            
+            previous = segment.language;
+            return `[${segment.language}]`;
+        });
+    }
+    
+    /**
+     * テキストを指定した文字数以内の行に分割
+     * 禁則処理（行頭・行末に置けない文字）を守り、英単語の途中では改行しない
+     * @private
+     * @param {string} text
+     * @param {number} maxChars 1行の最大文字数
+     * @returns {Array<string>} 分割された行
+     */
+    wrapText(text, maxChars) {
+        const lines = [];
+        let rest = text.trim();
+        
+        while (rest.length > maxChars) {
+            const breakIndex = this.findBreakIndex(rest, maxChars);
+            lines.push(rest.slice(0, breakIndex).trim());
+            rest = rest.slice(breakIndex).trim();
+        }
+        
+        if (rest) {
+            lines.push(rest);
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * 改行する位置を探す
+     * @private
+     * @param {string} text
+     * @param {number} maxChars 1行の最大文字数
+     * @returns {number} 改行する位置（この位置の文字から次の行）
+     */
+    findBreakIndex(text, maxChars) {
+        let fallback = -1;
+        
+        for (let i = maxChars; i > 0; i--) {
+            if (!this.canBreakAt(text, i)) continue;
+            
+            // 行の後半に句読点や空白があればその直後で改行する
+            if (this.preferredBreakChars.includes(text[i - 1]) && i >= maxChars / 2) {
+                return i;
+            }
+            
+            if (fallback < 0) {
+                fallback = i;
+            }
+        }
+        
+        // 改行できる位置がない場合は文字数で区切る
+        return fallback > 0 ? fallback : maxChars;
+    }
+    
+    /**
+     * 指定した位置で改行できるかどうか
+     * @private
+     * @param {string} text
+     * @param {number} index 改行する位置
+     * @returns {boolean}
+     */
+    canBreakAt(text, index) {
+        const previous = text[index - 1];
+        const next = text[index];
+        
+        if (this.noLineStartChars.includes(next) || this.noLineEndChars.includes(previous)) {
+            return false;
+        }
+        
+        // 英数字の単語の途中では改行しない
+        return !(/[A-Za-z0-9]/.test(previous) && /[A-Za-z0-9]/.test(next));
+    }
+    
+    /**
+     * WebVTTのキューテキストで特別な意味を持つ文字をエスケープ
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeVttText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+    
+    /**
+     * 話者の発話区間をNIST RTTM形式でエクスポート（話者分離の評価用）
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {string} RTTM形式のテキスト
+     */
+    exportToRTTM(segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            fileId: 'recording', // 録音を識別する名前
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        
+        // RTTMは空白区切りのため、名前の空白は「_」に置き換える
+        const toToken = text => String(text).trim().replace(/\s+/g, '_') || 'NA';
+        const fileId = toToken(opts.fileId);
+        
+        // 同じ名前の話者が別の話者として扱われるよう、層の名前と同じ規則で区別する
+        const speakerTokens = {};
+        this.groupSegmentsBySpeaker(segments, opts.speakerNames).forEach(speaker => {
+            speakerTokens[speaker.speakerId] = toToken(speaker.tierId);
+        });
+        
+        return [...segments]
+            .sort((a, b) => a.start - b.start)
+            .filter(segment => segment.end > segment.start)
+            .map(segment => {
+                const start = segment.start.toFixed(3);
+                const duration = (segment.end - segment.start).toFixed(3);
+                
+                return `SPEAKER ${fileId} 1 ${start} ${duration} <NA> <NA> ${speakerTokens[segment.speaker]} <NA> <NA>\n`;
+            })
+            .join('');
+    }
+    
+    /**
+     * 文字起こし結果をELANのアノテーションファイル（.eaf）としてエクスポート
+     * 話者ごとに1つの層を作り、発話のテキストを注釈にする
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {string} EAF形式（XML）のテキスト
+     */
+    exportToEAF(segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            mediaFile: '', // 関連付ける音声ファイル名（空の場合は関連付けない）
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const esc = text => this.escapeXml(text);
+        
+        const tiers = this.groupSegmentsBySpeaker(segments, opts.speakerNames);
+        const timeSlots = [];
+        let annotationCount = 0;
+        
+        const addTimeSlot = seconds => {
+            timeSlots.push(Math.round(seconds * 1000));
+            return `ts${timeSlots.length}`;
+        };
+        
+        const tiersXml = tiers.map(tier => {
+            const annotations = this.removeOverlaps(tier.segments).map(segment => {
+                const slot1 = addTimeSlot(segment.start);
+                const slot2 = addTimeSlot(segment.end);
+                annotationCount++;
+                
+                return `        <ANNOTATION>
+            <ALIGNABLE_ANNOTATION ANNOTATION_ID="a${annotationCount}" TIME_SLOT_REF1="${slot1}" TIME_SLOT_REF2="${slot2}">
+                <ANNOTATION_VALUE>${esc(segment.text)}</ANNOTATION_VALUE>
+            </ALIGNABLE_ANNOTATION>
+        </ANNOTATION>`;
+            });
+            
+            return `    <TIER LINGUISTIC_TYPE_REF="default-lt" PARTICIPANT="${esc(tier.name)}" TIER_ID="${esc(tier.tierId)}">
+${annotations.join('\n')}
+    </TIER>`;
+        });
+        
+        const mediaXml = opts.mediaFile
+            ? `\n        <MEDIA_DESCRIPTOR MEDIA_URL="${esc(encodeURI(`file:///${opts.mediaFile}`))}" RELATIVE_MEDIA_URL="${esc(encodeURI(`./${opts.mediaFile}`))}"/>`
+            : '';
+        
+        const timeSlotsXml = timeSlots
+            .map((value, i) => `        <TIME_SLOT TIME_SLOT_ID="ts${i + 1}" TIME_VALUE="${value}"/>`)
+            .join('\n');
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ANNOTATION_DOCUMENT AUTHOR="Audio Note" DATE="${new Date().toISOString()}" FORMAT="3.0" VERSION="3.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://www.mpi.nl/tools/elan/EAFv3.0.xsd">
+    <HEADER MEDIA_FILE="" TIME_UNITS="milliseconds">${mediaXml}
+    </HEADER>
+    <TIME_ORDER>
+${timeSlotsXml}
+    </TIME_ORDER>
+${tiersXml.join('\n')}
+    <LINGUISTIC_TYPE GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="default-lt" TIME_ALIGNABLE="true"/>
+</ANNOTATION_DOCUMENT>
+`;
+    }
+    
+    /**
+     * 文字起こし結果をPraatのTextGrid形式でエクスポート
+     * 話者ごとの発話区間の層（ラベルは話者名）と、発話のテキストの層を出力する
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {string} TextGrid形式のテキスト
+     */
+    exportToTextGrid(segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            duration: 0, // 録音の長さ（秒、最後の発話より短い場合は最後の発話の終了時間）
+            textTierName: 'text',
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const xmax = Math.max(opts.duration || 0, ...segments.map(segment => segment.end));
+        
+        const tiers = this.groupSegmentsBySpeaker(segments, opts.speakerNames).map(tier => ({
+            name: tier.tierId,
+            intervals: tier.segments.map(segment => ({ ...segment, text: tier.name }))
+        }));
+        tiers.push({ name: opts.textTierName, intervals: segments });
+        
+        // Praatの文字列では二重引用符を重ねてエスケープする
+        const quote = text => `"${String(text).replace(/"/g, '""')}"`;
+        
+        let content = 'File type = "ooTextFile"\nObject class = "TextGrid"\n\n';
+        content += `xmin = 0\nxmax = ${xmax}\ntiers? <exists>\nsize = ${tiers.length}\nitem []:\n`;
+        
+        tiers.forEach((tier, i) => {
+            const intervals = this.fillIntervalGaps(this.removeOverlaps(tier.intervals), xmax);
+            
+            content += `    item [${i + 1}]:\n`;
+            content += '        class = "IntervalTier"\n';
+            content += `        name = ${quote(tier.name)}\n`;
+            content += `        xmin = 0\n        xmax = ${xmax}\n`;
+            content += `        intervals: size = ${intervals.length}\n`;
+            
+            intervals.forEach((interval, j) => {
+                content += `        intervals [${j + 1}]:\n`;
+                content += `            xmin = ${interval.start}\n`;
+                content += `            xmax = ${interval.end}\n`;
+                content += `            text = ${quote(interval.text)}\n`;
+            });
+        });
+        
+        return content;
+    }
+    
+    /**
+     * セグメントを話者ごとにまとめる（層の名前は話者名、重複する場合は話者IDを付ける）
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} speakerNames 話者IDと表示名の対応
+     * @returns {Array} { speakerId, name, tierId, segments }の配列（話者ID順）
+     */
+    groupSegmentsBySpeaker(segments, speakerNames) {
+        const speakerIds = Array.from(new Set(segments.map(segment => segment.speaker))).sort();
+        const names = speakerIds.map(id => speakerNames[id] || `発話者${id}`);
+        
+        return speakerIds.map((speakerId, i) => {
+            const isDuplicate = names.indexOf(names[i]) !== names.lastIndexOf(names[i]);
+            
+            return {
+                speakerId,
+                name: names[i],
+                tierId: isDuplicate ? `${names[i]} (${speakerId})` : names[i],
+                segments: segments.filter(segment => segment.speaker === speakerId)
+            };
+        });
+    }
+    
+    /**
+     * 区間を時刻順に並べ、前の区間と重なる部分を取り除く（1つの層の中では区間が重なれないため）
+     * @private
+     * @param {Array} intervals { start, end, text }の配列
+     * @returns {Array}
+     */
+    removeOverlaps(intervals) {
+        const result = [];
+        let previousEnd = 0;
+        
+        [...intervals]
+            .sort((a, b) => a.start - b.start)
+            .forEach(interval => {
+                const start = Math.max(interval.start, previousEnd);
+                if (interval.end <= start) return;
+                
+                result.push({ start, end: interval.end, text: interval.text });
+                previousEnd = interval.end;
+            });
+        
+        return result;
+    }
+    
+    /**
+     * 区間の間の空白を空の区間で埋め、0からxmaxまでを隙間なく覆う
+     * @private
+     * @param {Array} intervals 重ならない区間の配列（時刻順）
+     * @param {number} xmax 層の終了時間
+     * @returns {Array}
+     */
+    fillIntervalGaps(intervals, xmax) {
+        const filled = [];
+        let cursor = 0;
+        
+        intervals.forEach(interval => {
+            if (interval.start > cursor) {
+                filled.push({ start: cursor, end: interval.start, text: '' });
+            }
+            filled.push(interval);
+            cursor = interval.end;
+        });
+        
+        if (cursor < xmax || filled.length === 0) {
+            filled.push({ start: cursor, end: xmax, text: '' });
+        }
+        
+        return filled;
+    }
+    
+    /**
+     * 文字起こし結果を印刷用のHTML形式の議事録としてエクスポート
+     * ブラウザで開いて印刷（PDFとして保存）できる、外部ファイルに依存しない1枚のページを生成する
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション（createMinutesData()を参照）
+     * @returns {string} HTML形式のテキスト
+     */
+    exportToHTML(segments, options = {}) {
+        const minutes = this.createMinutesData(segments, options);
+        const esc = text => this.escapeXml(text);
+        
+        const participantsHtml = minutes.participants.map(participant => `
+            <li><span class="swatch" style="background-color: ${participant.color}"></span>${esc(participant.name)}</li>`
+        ).join('');
+        
+        const rowsHtml = minutes.rows.map(row => `
+            <tr>
+                <td class="time">${row.time}</td>
+                <td class="speaker" style="border-left-color: ${row.color}; background-color: ${row.fill}">${esc(row.speakerName)}</td>
+                <td>${esc(row.text)}</td>
+            </tr>`
+        ).join('');
+        
+        let sectionsHtml = '';
+        
+        if (minutes.bookmarks.length > 0) {
+            sectionsHtml += `
+    <h2>ブックマーク</h2>
+    <table class="data">
+        <thead><tr><th>時間</th><th>話者</th><th>発言</th></tr></thead>
+        <tbody>${minutes.bookmarks.map(bookmark => `
+            <tr><td class="time">${bookmark.time}</td><td>${esc(bookmark.speakerName)}</td><td>${esc(bookmark.text)}</td></tr>`).join('')}
+        </tbody>
+    </table>`;
+        }
+        
+        if (minutes.statistics.length > 0) {
+            sectionsHtml += `
+    <h2>話者ごとの統計</h2>
+    <table class="data">
+        <thead><tr><th>話者</th><th class="num">発言数</th><th class="num">発話時間</th><th class="num">割合</th><th class="num">文字数</th></tr></thead>
+        <tbody>${minutes.statistics.map(stat => `
+            <tr>
+                <td><span class="swatch" style="background-color: ${stat.color}"></span>${esc(stat.name)}</td>
+                <td class="num">${stat.count}</td>
+                <td class="num">${stat.duration}</td>
+                <td class="num">${stat.ratio}</td>
+                <td class="num">${stat.chars}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>`;
+        }
+        
+        return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(minutes.title)}</title>
+    <style>
+        @page { size: A4; margin: 18mm 15mm; }
+        * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        body { font-family: "Yu Gothic", "Hiragino Sans", "Meiryo", sans-serif; font-size: 10.5pt; line-height: 1.6; color: #202124; max-width: 180mm; margin: 0 auto; padding: 10mm 0; }
+        h1 { font-size: 18pt; margin: 0 0 4mm; }
+        h2 { font-size: 13pt; margin: 8mm 0 3mm; padding-bottom: 1mm; border-bottom: 2px solid #dadce0; page-break-after: avoid; break-after: avoid; }
+        .meta th { text-align: left; font-weight: normal; color: #5f6368; padding-right: 6mm; }
+        .participants { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 2mm 6mm; }
+        .swatch { display: inline-block; width: 3mm; height: 3mm; border-radius: 50%; margin-right: 1.5mm; }
+        table.data { width: 100%; border-collapse: collapse; }
+        table.data th { background-color: #f1f3f4; text-align: left; }
+        table.data th, table.data td { border: 1px solid #dadce0; padding: 1.5mm 2mm; vertical-align: top; }
+        table.data thead { display: table-header-group; }
+        table.data tr { page-break-inside: avoid; break-inside: avoid; }
+        td.time { width: 16mm; white-space: nowrap; color: #5f6368; }
+        td.speaker { width: 28mm; font-weight: bold; border-left: 4px solid; }
+        .num { text-align: right; }
+        footer { margin-top: 8mm; font-size: 8pt; color: #9aa0a6; }
+    </style>
+</head>
+<body>
+    <h1>${esc(minutes.title)}</h1>
+    <table class="meta">
+        <tr><th>日時</th><td>${esc(minutes.date)}</td></tr>
+        <tr><th>録音時間</th><td>${minutes.duration}</td></tr>
+    </table>
+    
+    <h2>参加者</h2>
+    <ul class="participants">${participantsHtml}
+    </ul>
+    ${sectionsHtml}
+    
+    <h2>発言録</h2>
+    <table class="data">
+        <thead><tr><th>時間</th><th>話者</th><th>発言</th></tr></thead>
+        <tbody>${rowsHtml}
+        </tbody>
+    </table>
+    
+    <footer>Audio Noteで作成（${esc(minutes.generatedAt)}）</footer>
+</body>
+</html>
+`;
+    }
+    
+    /**
+     * 文字起こし結果をWord形式（.docx）の議事録としてエクスポート
+     * JSZipを使ってブラウザ内でOffice Open XMLのファイルを組み立てる
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション（createMinutesData()を参照）
+     * @returns {Promise<Blob>} .docxファイルのBlob
+     */
+    async exportToDocx(segments, options = {}) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('Word形式の作成に必要なライブラリが読み込まれていません');
+        }
+        
+        const minutes = this.createMinutesData(segments, options);
+        const toDocxColor = color => color.replace('#', '').toUpperCase();
+        
+        const body = [];
+        body.push(this.createDocxParagraph([{ text: minutes.title }], { style: 'Title' }));
+        body.push(this.createDocxParagraph([
+            { text: '日時: ', color: '5F6368' },
+            { text: minutes.date }
+        ]));
+        body.push(this.createDocxParagraph([
+            { text: '録音時間: ', color: '5F6368' },
+            { text: minutes.duration }
+        ]));
+        
+        body.push(this.createDocxParagraph([{ text: '参加者' }], { style: 'Heading1' }));
+        minutes.participants.forEach(participant => {
+            body.push(this.createDocxParagraph([
+                { text: '● ', color: toDocxColor(participant.color) },
+                { text: participant.name }
+            ]));
+        });
+        
+        if (minutes.bookmarks.length > 0) {
+            body.push(this.createDocxParagraph([{ text: 'ブックマーク' }], { style: 'Heading1' }));
+            body.push(this.createDocxTable(
+                [1300, 2000, 6338],
+                ['時間', '話者', '発言'],
+                minutes.bookmarks.map(bookmark => [
+                    { text: bookmark.time, color: '5F6368' },
+                    { text: bookmark.speakerName, bold: true },
+                    { text: bookmark.text }
+                ])
+            ));
+        }
+        
+        if (minutes.statistics.length > 0) {
+            body.push(this.createDocxParagraph([{ text: '話者ごとの統計' }], { style: 'Heading1' }));
+            body.push(this.createDocxTable(
+                [3238, 1600, 1600, 1600, 1600],
+                ['話者', '発言数', '発話時間', '割合', '文字数'],
+                minutes.statistics.map(stat => [
+                    { text: stat.name, bold: true, leftBorder: toDocxColor(stat.color) },
+                    { text: String(stat.count), align: 'right' },
+                    { text: stat.duration, align: 'right' },
+                    { text: stat.ratio, align: 'right' },
+                    { text: String(stat.chars), align: 'right' }
+                ])
+            ));
+        }
+        
+        body.push(this.createDocxParagraph([{ text: '発言録' }], { style: 'Heading1' }));
+        body.push(this.createDocxTable(
+            [1300, 1900, 6438],
+            ['時間', '話者', '発言'],
+            minutes.rows.map(row => [
+                { text: row.time, color: '5F6368' },
+                { text: row.speakerName, bold: true, fill: toDocxColor(row.fill), leftBorder: toDocxColor(row.color) },
+                { text: row.text }
+            ])
+        ));
+        
+        const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+        
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+        zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+        zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+        zip.file('word/styles.xml', this.createDocxStyles());
+        zip.file('word/document.xml', documentXml);
+        zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${this.escapeXml(minutes.title)}</dc:title>
+<dc:creator>Audio Note</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`);
+        
+        return await zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        });
+    }
+    
+    /**
+     * 議事録の出力に使う情報をまとめる
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Object} options オプション
+     * @param {string} options.title 会議名
+     * @param {string} options.date 録音日時（ISO形式）
+     * @param {number} options.duration 録音時間（秒、省略時は最後の発言の終了時間）
+     * @param {Object} options.speakerNames 話者IDと表示名の対応
+     * @param {Object} options.speakerColors 話者IDとカラーコード（#RRGGBB）の対応
+     * @param {boolean} options.includeBookmarks ブックマークした発言の一覧を出力するかどうか（ない場合は出力しない）
+     * @param {boolean} options.includeStatistics 話者ごとの統計を出力するかどうか
+     * @returns {Object}
+     */
+    createMinutesData(segments, options) {
+        // デフォルトオプション
+        const defaultOptions = {
+            title: '文字起こし結果',
+            date: null,
+            duration: null,
+            speakerNames: {},
+            speakerColors: {},
+            includeBookmarks: true,
+            includeStatistics: true
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const getName = speakerId => opts.speakerNames[speakerId] || `発話者${speakerId}`;
+        const getColor = speakerId => opts.speakerColors[speakerId] || '#9aa0a6';
+        
+        const lastEnd = segments.reduce((max, segment) => Math.max(max, segment.end), 0);
+        const speakerIds = Array.from(new Set(segments.map(segment => segment.speaker))).sort();
+        
+        return {
+            title: opts.title,
+            date: this.formatDateTime(opts.date ? new Date(opts.date) : new Date()),
+            duration: this.formatDuration(opts.duration || lastEnd),
+            generatedAt: this.formatDateTime(new Date()),
+            participants: speakerIds
+                .filter(id => id !== 'Unknown')
+                .map(id => ({ id, name: getName(id), color: getColor(id) })),
+            rows: segments.map(segment => ({
+                time: this.formatTime(segment.start),
+                speakerName: getName(segment.speaker),
+                color: getColor(segment.speaker),
+                fill: this.tintColor(getColor(segment.speaker), 0.85),
+                text: segment.text
+            })),
+            bookmarks: opts.includeBookmarks
+                ? segments.filter(segment => segment.bookmarked).map(segment => ({
+                    time: this.formatTime(segment.start),
+                    speakerName: getName(segment.speaker),
+                    text: segment.text
+                }))
+                : [],
+            statistics: opts.includeStatistics
+                ? this.calculateSpeakerStatistics(segments, speakerIds).map(stat => ({
+                    ...stat,
+                    name: getName(stat.speakerId),
+                    color: getColor(stat.speakerId)
+                }))
+                : []
+        };
+    }
+    
+    /**
+     * 話者ごとの発言数・発話時間・文字数を集計
+     * @private
+     * @param {Array} segments 文字起こしセグメント
+     * @param {Array<string>} speakerIds 話者ID
+     * @returns {Array} { speakerId, count, duration, ratio, chars }の配列
+     */
+    calculateSpeakerStatistics(segments, speakerIds) {
+        const totalDuration = segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+        
+        return speakerIds.map(speakerId => {
+            const own = segments.filter(segment => segment.speaker === speakerId);
+            const duration = own.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+            
+            return {
+                speakerId,
+                count: own.length,
+                duration: this.formatDuration(duration),
+                ratio: totalDuration > 0 ? `${(duration / totalDuration * 100).toFixed(1)}%` : '-',
+                chars: own.reduce((sum, segment) => sum + segment.text.length, 0)
+            };
+        });
+    }
+    
+    /**
+     * Word形式の段落のXMLを生成
+     * @private
+     * @param {Array} runs { text, bold, color }の配列
+     * @param {Object} options { style, align }
+     * @returns {string}
+     */
+    createDocxParagraph(runs, options = {}) {
+        const properties = [];
+        if (options.style) {
+            properties.push(`<w:pStyle w:val="${options.style}"/>`);
+        }
+        if (options.align) {
+            properties.push(`<w:jc w:val="${options.align}"/>`);
+        }
+        
+        const runsXml = runs.map(run => {
+            const runProperties = [];
+            if (run.bold) {
+                runProperties.push('<w:b/>');
+            }
+            if (run.color) {
+                runProperties.push(`<w:color w:val="${run.color}"/>`);
+            }
+            
+            const rPr = runProperties.length > 0 ? `<w:rPr>${runProperties.join('')}</w:rPr>` : '';
+            return `<w:r>${rPr}<w:t xml:space="preserve">${this.escapeXml(run.text)}</w:t></w:r>`;
+        }).join('');
+        
+        const pPr = properties.length > 0 ? `<w:pPr>${properties.join('')}</w:pPr>` : '';
+        return `<w:p>${pPr}${runsXml}</w:p>`;
+    }
+    
+    /**
+     * Word形式の表のXMLを生成（見出し行はページをまたぐと繰り返す）
+     * @private
+     * @param {Array<number>} widths 列の幅（1/20ポイント）
+     * @param {Array<string>} headers 見出し
+     * @param {Array<Array>} rows セル（{ text, bold, color, fill, leftBorder, align }）の配列の配列
+     * @returns {string}
+     */
+    createDocxTable(widths, headers, rows) {
+        const createCell = (cell, width) => {
+            const cellProperties = [`<w:tcW w:w="${width}" w:type="dxa"/>`];
+            if (cell.leftBorder) {
+                cellProperties.push(`<w:tcBorders><w:left w:val="single" w:sz="24" w:space="0" w:color="${cell.leftBorder}"/></w:tcBorders>`);
+            }
+            if (cell.fill) {
+                cellProperties.push(`<w:shd w:val="clear" w:color="auto" w:fill="${cell.fill}"/>`);
+            }
+            
+            const paragraph = this.createDocxParagraph([cell], { align: cell.align });
+            return `<w:tc><w:tcPr>${cellProperties.join('')}</w:tcPr>${paragraph}</w:tc>`;
+        };
+        
+        const border = '<w:%s w:val="single" w:sz="4" w:space="0" w:color="DADCE0"/>';
+        const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+            .map(side => border.replace('%s', side))
+            .join('');
+        
+        const headerRow = `<w:tr><w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>${headers.map((header, i) =>
+            createCell({ text: header, bold: true, fill: 'F1F3F4' }, widths[i])
+        ).join('')}</w:tr>`;
+        
+        const bodyRows = rows.map(cells =>
+            `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.map((cell, i) => createCell(cell, widths[i])).join('')}</w:tr>`
+        ).join('');
+        
+        const grid = widths.map(width => `<w:gridCol w:w="${width}"/>`).join('');
+        
+        return `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${borders}</w:tblBorders><w:tblLayout w:type="fixed"/><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${headerRow}${bodyRows}</w:tbl>`;
+    }
+    
+    /**
+     * Word形式のスタイル定義（本文・表題・見出し）を生成
+     * @private
+     * @returns {string}
+     */
+    createDocxStyles() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Yu Gothic" w:eastAsia="Yu Gothic" w:hAnsi="Yu Gothic" w:cs="Yu Gothic"/><w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US" w:eastAsia="ja-JP"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="60" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:after="200"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="8" w:space="1" w:color="DADCE0"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>
+</w:styles>`;
+    }
+    
+    /**
+     * 色を白に近づけた色を求める（表の背景色用）
+     * @private
+     * @param {string} color カラーコード（#RRGGBB）
+     * @param {number} ratio 白を混ぜる割合（0〜1）
+     * @returns {string} カラーコード（#RRGGBB）
+     */
+    tintColor(color, ratio) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(color);
+        if (!match) {
+            return '#ffffff';
+        }
+        
+        const value = parseInt(match[1], 16);
+        const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff]
+            .map(channel => Math.round(channel + (255 - channel) * ratio));
+        
+        return '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * XML・HTMLの特殊文字をエスケープ（XMLで使えない制御文字は取り除く）
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * 日時を議事録用の文字列に変換
+     * @private
+     * @param {Date} date
+     * @returns {string}
+     */
+    formatDateTime(date) {
+        return date.toLocaleString('ja-JP', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    /**
+     * 秒数を常に時間を含む表記（HH:MM:SS）に変換
+     * @private
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hrs = Math.floor(total / 3600);
+        const mins = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        
+        return [hrs, mins, secs].map(v => String(v).padStart(2, '0')).join(':');
+    }
+    
+    /**
+     * 録音データから切り出した発話の音声をエクスポート
+     * @param {Array<Float32Array>} clips 発話ごとのモノラルPCMデータ（segmentsと同じ順）
+     * @param {number} sampleRate サンプリングレート
+     * @param {Array} segments 切り出した文字起こしセグメント
+     * @param {Object} options オプション
+     * @returns {Promise<Blob>} WAVファイル（mode: 'concat'）またはZIPファイル（mode: 'zip'）
+     */
+    async exportAudioClips(clips, sampleRate, segments, options = {}) {
+        // デフォルトオプション
+        const defaultOptions = {
+            mode: 'concat', // 'concat': 1つのWAVに連結, 'zip': 発話ごとのWAVをZIPにまとめる
+            gap: 0.5, // 連結するときに発話の間に入れる無音（秒）
+            speakerNames: {} // 話者名のカスタマイズ
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        const sorted = segments
+            .map((segment, i) => ({ segment, clip: clips[i] }))
+            .sort((a, b) => a.segment.start - b.segment.start);
+        
+        if (sorted.length === 0) {
+            throw new Error('書き出す発話がありません');
+        }
+        
+        if (opts.mode === 'zip') {
+            if (typeof JSZip === 'undefined') {
+                throw new Error('ZIPファイルの作成に必要なライブラリが読み込まれていません');
+            }
+            
+            const zip = new JSZip();
+            sorted.forEach(({ segment, clip }, i) => {
+                zip.file(this.createClipFilename(segment, i, opts), this.encodeWav(clip, sampleRate));
+            });
+            
+            return await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+        }
+        
+        // 発話の間に無音を挟んで連結
+        const gapLength = Math.round(opts.gap * sampleRate);
+        const totalLength = sorted.reduce((sum, { clip }) => sum + clip.length, 0) + gapLength * (sorted.length - 1);
+        const joined = new Float32Array(totalLength);
+        
+        let offset = 0;
+        sorted.forEach(({ clip }) => {
+            joined.set(clip, offset);
+            offset += clip.length + gapLength;
+        });
+        
+        return new Blob([this.encodeWav(joined, sampleRate)], { type: 'audio/wav' });
+    }
+    
+    /**
+     * 切り出した音声のファイル名を生成（例: 001_田中_00-01-23.450.wav）
+     * @private
+     * @param {Object} segment
+     * @param {number} index
+     * @param {Object} opts
+     * @returns {string}
+     */
+    createClipFilename(segment, index, opts) {
+        const speakerName = opts.speakerNames[segment.speaker] || `発話者${segment.speaker}`;
+        const time = this.formatTimestamp(segment.start, '.').replace(/:/g, '-');
+        
+        // ファイル名に使えない文字は置き換える
+        const safeName = speakerName.replace(/[\\/:*?"<>|\s]+/g, '_');
+        
+        return `${String(index + 1).padStart(3, '0')}_${safeName}_${time}.wav`;
+    }
+    
+    /**
+     * PCMデータをWAV形式（16bitリニアPCM、モノラル）に変換
+     * @param {Float32Array} pcm
+     * @param {number} sampleRate
+     * @returns {ArrayBuffer}
+     */
+    encodeWav(pcm, sampleRate) {
+        const dataSize = pcm.length * 2;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+        
+        // RIFFヘッダー
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        
+        // fmtチャンク
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // リニアPCM
+        view.setUint16(22, 1, true); // モノラル
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // バイトレート
+        view.setUint16(32, 2, true); // ブロックサイズ
+        view.setUint16(34, 16, true); // ビット深度
+        
+        // dataチャンク
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        for (let i = 0; i < pcm.length; i++) {
+            const sample = Math.max(-1, Math.min(1, pcm[i]));
+            view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * 録音セッション全体を読み込み直せるJSON形式でエクスポート
+     * 時間は丸めずに秒の小数のまま、音声認識のチャンクと文字起こし結果のすべての版を含める
+     * @param {Object} session セッションのデータ
+     * @param {Object} session.recording 録音（AudioDatabase.getRecording()の結果）
+     * @param {Object|null} session.transcript 現在の文字起こし結果
+     * @param {Array} session.versions 文字起こし結果のすべての版
+     * @param {Blob|null} session.audioBlob 録音データ
+     * @param {Object} options オプション
+     * @param {boolean} options.includeAudio 録音データをBase64で含めるかどうか
+     * @returns {Promise<string>} JSON形式のテキスト
+     */
+    async exportToJSON(session, options = {}) {
+        const { recording, transcript, versions, audioBlob } = session;
+        
+        const data = {
+            format: this.sessionFormat,
+            formatVersion: this.sessionFormatVersion,
+            exportedAt: new Date().toISOString(),
+            recording: {
+                name: recording.name,
+                date: recording.date,
+                duration: recording.duration || 0,
+                sampleRate: recording.sampleRate || null,
+                speakerNames: recording.speakerNames || {},
+                speakerColors: recording.speakerColors || {}
+            },
+            currentVersion: transcript ? transcript.version || 1 : null,
+            transcripts: versions.map(version => ({
+                version: version.version,
+                createdAt: version.createdAt,
+                updatedAt: version.updatedAt || version.createdAt,
+                // 処理条件（モデルID、認識言語、最大話者数、乱数シード）
+                metadata: version.metadata || {},
+                segments: version.segments,
+                chunks: version.chunks || []
+            })),
+            audio: null
+        };
+        
+        if (options.includeAudio && audioBlob) {
+            data.audio = {
+                mimeType: audioBlob.type || 'audio/webm',
+                base64: await this.blobToBase64(audioBlob)
+            };
+        }
+        
+        return JSON.stringify(data, null, 2);
+    }
+    
+    /**
+     * exportToJSON()で書き出したJSONを読み込み、形式を検証
+     * @param {string} text JSON形式のテキスト
+     * @returns {Object} { recording, transcripts, currentVersion, audioBlob }
+     */
+    parseSessionJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('JSONとして読み込めませんでした');
+        }
+        
+        if (!data || data.format !== this.sessionFormat) {
+            throw new Error('Audio Noteのセッションファイルではありません');
+        }
+        
+        if (!Number.isInteger(data.formatVersion) || data.formatVersion > this.sessionFormatVersion) {
+            throw new Error('このバージョンでは読み込めない形式のセッションファイルです');
+        }
+        
+        const recording = data.recording;
+        if (!recording || typeof recording.name !== 'string' || !Array.isArray(data.transcripts)) {
+            throw new Error('セッションファイルの内容が正しくありません');
+        }
+        
+        const transcripts = data.transcripts.map(transcript => {
+            const validSegments = Array.isArray(transcript.segments) && transcript.segments.every(segment =>
+                typeof segment.text === 'string' && Number.isFinite(segment.start) && Number.isFinite(segment.end)
+            );
+            
+            if (!Number.isInteger(transcript.version) || !validSegments) {
+                throw new Error('セッションファイルの文字起こし結果が正しくありません');
+            }
+            
+            return {
+                version: transcript.version,
+                createdAt: transcript.createdAt || data.exportedAt,
+                updatedAt: transcript.updatedAt || transcript.createdAt || data.exportedAt,
+                metadata: transcript.metadata || {},
+                segments: transcript.segments,
+                chunks: Array.isArray(transcript.chunks) ? transcript.chunks : []
+            };
+        }).sort((a, b) => a.version - b.version);
+        
+        return {
+            recording: {
+                name: recording.name,
+                date: recording.date || data.exportedAt,
+                duration: Number.isFinite(recording.duration) ? recording.duration : 0,
+                sampleRate: Number.isFinite(recording.sampleRate) ? recording.sampleRate : null,
+                speakerNames: recording.speakerNames || {},
+                speakerColors: recording.speakerColors || {}
+            },
+            transcripts,
+            currentVersion: data.currentVersion,
+            audioBlob: data.audio ? this.base64ToBlob(data.audio.base64, data.audio.mimeType) : null
+        };
+    }
+    
+    /**
+     * BlobをBase64文字列に変換
+     * @private
+     * @param {Blob} blob
+     * @returns {Promise<string>}
+     */
+    async blobToBase64(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        
+        // 引数の数の上限を超えないよう少しずつ文字列にする
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        
+        return btoa(binary);
+    }
+    
+    /**
+     * Base64文字列をBlobに変換
+     * @private
+     * @param {string} base64
+     * @param {string} mimeType
+     * @returns {Blob}
+     */
+    base64ToBlob(base64, mimeType) {
+        let binary;
+        try {
+            binary = atob(base64);
+        } catch (error) {
+            throw new Error('セッションファイルの録音データが正しくありません');
+        }
+        
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        
+        return new Blob([bytes], { type: mimeType || 'audio/webm' });
+    }
+    
+    /**
+     * 秒数を字幕用のミリ秒単位の時間表記（HH:MM:SS,mmm）に変換
+     * @param {number} seconds
+     * @param {string} separator 秒とミリ秒の区切り文字（SRTは','、WebVTTは'.'）
+     * @returns {string} フォーマットされた時間
+     */
+    formatTimestamp(seconds, separator = ',') {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hrs = Math.floor(totalMs / 3600000);
+        const mins = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        
+        return `${String(hrs).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+    }
+    
     /**
      * 秒数を時間表記（HH:MM:SS）に変換
      * @param {number} seconds 
@@ -143,7 +1523,7 @@ class TranscriptExporter {
     
     /**
      * 文字起こし結果をファイルとしてダウンロード
-     * @param {string} content ファイルの内容
+     * @param {string|Uint8Array|Blob} content ファイルの内容
      * @param {string} filename ファイル名
      * @param {string} type ファイルタイプ
      */
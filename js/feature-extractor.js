@@ -0,0 +1,450 @@
+/**
+ * 音声特性抽出モジュール
+ * - デコード済みのPCMデータから話者分離用の音声特性を抽出
+ * - 固定ホップ長のフレームで解析し、サンプル位置から正確なタイムスタンプを付与
+ * - 同じ入力からは常に同じ結果が得られる（描画タイミングやタブの状態に依存しない）
+ * - 話者埋め込み用にフレームごとのMFCCを計算
+ */
+class AudioFeatureExtractor {
+    /**
+     * @param {Object} options オプション
+     * @param {number} options.fftSize FFTサイズ（2のべき乗）
+     * @param {number} options.hopSize フレーム間のサンプル数
+     * @param {number} options.smoothingTimeConstant スペクトルの平滑化係数（AnalyserNodeと同じ意味）
+     * @param {number} options.mfccCount MFCCの次数（0次を含む）
+     * @param {number} options.melFilterCount メルフィルタバンクのフィルタ数
+     */
+    constructor(options = {}) {
+        this.fftSize = options.fftSize || 2048;
+        this.hopSize = options.hopSize || 512;
+        this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined
+            ? options.smoothingTimeConstant
+            : 0.8;
+        
+        // 一度に処理するフレーム数（UIをブロックしないように区切る）
+        this.framesPerBatch = 500;
+        
+        // スペクトルフラックス計算用の前フレームのデータ
+        this.prevMagnitudes = null;
+        
+        // MFCCの設定（25ms窓をフレーム中央から切り出して計算）
+        this.mfccCount = options.mfccCount || 13;
+        this.melFilterCount = options.melFilterCount || 26;
+        this.mfccWindowDuration = 0.025;
+        this.preEmphasis = 0.97;
+        
+        // サンプリングレートに依存するMFCC用のテーブル（extract時に作成）
+        this.mfccSetup = null;
+        
+        // FFT用の事前計算テーブル（サイズごと）
+        this.fftTables = {};
+        this.window = this.createBlackmanWindow(this.fftSize);
+    }
+    
+    /**
+     * PCMデータから時系列の音声特性を抽出
+     * @param {Float32Array} pcm モノラルのPCMデータ
+     * @param {number} sampleRate サンプリングレート
+     * @param {Object} options オプション
+     * @param {number} options.timeOffset 先頭サンプルのセッション内の時間（秒）
+     * @param {Function} options.onProgress 進捗コールバック（0-1）
+     * @returns {Promise<Array>} 時系列の音声特性データ（{ time, features }の配列）
+     */
+    async extract(pcm, sampleRate, options = {}) {
+        const timeOffset = options.timeOffset || 0;
+        const onProgress = options.onProgress || null;
+        
+        const frameCount = pcm.length >= this.fftSize
+            ? Math.floor((pcm.length - this.fftSize) / this.hopSize) + 1
+            : 0;
+        
+        const result = [];
+        const magnitudes = new Float32Array(this.fftSize / 2);
+        
+        this.prevMagnitudes = null;
+        this.mfccSetup = this.createMfccSetup(sampleRate);
+        
+        for (let frame = 0; frame < frameCount; frame++) {
+            const offset = frame * this.hopSize;
+            const timeData = pcm.subarray(offset, offset + this.fftSize);
+            
+            // 平滑化した振幅スペクトルを計算
+            this.computeSpectrum(timeData, magnitudes);
+            
+            const features = this.computeFrameFeatures(magnitudes, timeData, sampleRate);
+            features.mfcc = this.computeMfcc(timeData);
+            
+            result.push({
+                // フレーム中央の時刻（サンプル位置から算出）
+                time: timeOffset + (offset + this.fftSize / 2) / sampleRate,
+                features
+            });
+            
+            // 一定フレームごとに制御を返して進捗を通知
+            if ((frame + 1) % this.framesPerBatch === 0) {
+                if (onProgress) {
+                    onProgress((frame + 1) / frameCount);
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        if (onProgress) {
+            onProgress(1);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 1フレーム分の振幅スペクトルと時間データから特性を計算
+     * @private
+     * @param {Float32Array} magnitudes 振幅スペクトル（線形スケール）
+     * @param {Float32Array} timeData 時間領域データ
+     * @param {number} sampleRate サンプリングレート
+     * @returns {Object} 抽出された特性
+     */
+    computeFrameFeatures(magnitudes, timeData, sampleRate) {
+        return {
+            // スペクトル重心（音色の特徴）
+            spectralCentroid: this.calculateSpectralCentroid(magnitudes),
+            
+            // RMS（音量の指標）
+            rms: this.calculateRMS(timeData),
+            
+            // スペクトルフラックス（音色の変化率）
+            spectralFlux: this.calculateSpectralFlux(magnitudes),
+            
+            // ゼロクロッシングレート（基本周波数の近似）
+            zeroCrossingRate: this.calculateZeroCrossingRate(timeData),
+            
+            // 周波数帯域ごとのエネルギー分布
+            bandEnergies: this.calculateBandEnergies(magnitudes, sampleRate)
+        };
+    }
+    
+    /**
+     * 窓関数・FFT・平滑化を行い振幅スペクトルを計算（AnalyserNodeと同じ手順）
+     * @private
+     * @param {Float32Array} timeData 時間領域データ（fftSize長）
+     * @param {Float32Array} smoothed 前フレームまでの平滑化済み振幅（更新される）
+     */
+    computeSpectrum(timeData, smoothed) {
+        const n = this.fftSize;
+        const real = new Float32Array(n);
+        const imag = new Float32Array(n);
+        
+        // 窓関数を適用
+        for (let i = 0; i < n; i++) {
+            real[i] = timeData[i] * this.window[i];
+        }
+        
+        this.fft(real, imag);
+        
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < n / 2; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / n;
+            smoothed[k] = tau * smoothed[k] + (1 - tau) * magnitude;
+        }
+    }
+    
+    /**
+     * フレーム中央の25ms区間からMFCCを計算
+     * @private
+     * @param {Float32Array} timeData 時間領域データ（fftSize長）
+     * @returns {Array<number>} MFCC（0次を含む）
+     */
+    computeMfcc(timeData) {
+        const { windowLength, fftSize, hamming, filters, dct } = this.mfccSetup;
+        const start = Math.max(0, Math.floor((timeData.length - windowLength) / 2));
+        
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        
+        // プリエンファシスとハミング窓を適用
+        for (let i = 0; i < windowLength && start + i < timeData.length; i++) {
+            const current = timeData[start + i];
+            const previous = start + i > 0 ? timeData[start + i - 1] : 0;
+            real[i] = (current - this.preEmphasis * previous) * hamming[i];
+        }
+        
+        this.fft(real, imag);
+        
+        // メルフィルタバンクの対数エネルギー
+        const logEnergies = filters.map(filter => {
+            let energy = 0;
+            for (let k = filter.start; k < filter.end; k++) {
+                energy += filter.weights[k - filter.start] * (real[k] * real[k] + imag[k] * imag[k]);
+            }
+            return Math.log(Math.max(energy, 1e-10));
+        });
+        
+        // 離散コサイン変換でケプストラムに変換
+        return dct.map(basis => basis.reduce((sum, value, i) => sum + value * logEnergies[i], 0));
+    }
+    
+    /**
+     * サンプリングレートに応じたMFCC用のテーブルを作成
+     * @private
+     * @param {number} sampleRate サンプリングレート
+     * @returns {Object} 窓長・FFTサイズ・窓関数・メルフィルタ・DCT基底
+     */
+    createMfccSetup(sampleRate) {
+        const windowLength = Math.min(this.fftSize, Math.round(this.mfccWindowDuration * sampleRate));
+        const fftSize = Math.pow(2, Math.ceil(Math.log2(windowLength)));
+        
+        const hamming = new Float32Array(windowLength);
+        for (let i = 0; i < windowLength; i++) {
+            hamming[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (windowLength - 1));
+        }
+        
+        // メル尺度で等間隔に三角フィルタを配置（20Hz〜7.6kHz）
+        const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+        const toHz = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+        const minMel = toMel(20);
+        const maxMel = toMel(Math.min(7600, sampleRate / 2));
+        
+        const bins = [];
+        for (let i = 0; i < this.melFilterCount + 2; i++) {
+            const hz = toHz(minMel + (maxMel - minMel) * i / (this.melFilterCount + 1));
+            bins.push(hz * fftSize / sampleRate);
+        }
+        
+        const filters = [];
+        for (let m = 1; m <= this.melFilterCount; m++) {
+            const [left, center, right] = [bins[m - 1], bins[m], bins[m + 1]];
+            const start = Math.ceil(left);
+            const end = Math.min(fftSize / 2 + 1, Math.floor(right) + 1);
+            const weights = [];
+            
+            for (let k = start; k < end; k++) {
+                weights.push(k <= center
+                    ? (k - left) / (center - left)
+                    : (right - k) / (right - center));
+            }
+            
+            filters.push({ start, end, weights });
+        }
+        
+        // 正規直交のDCT-II基底
+        const dct = [];
+        for (let c = 0; c < this.mfccCount; c++) {
+            const scale = Math.sqrt((c === 0 ? 1 : 2) / this.melFilterCount);
+            const basis = [];
+            for (let m = 0; m < this.melFilterCount; m++) {
+                basis.push(scale * Math.cos(Math.PI * c * (m + 0.5) / this.melFilterCount));
+            }
+            dct.push(basis);
+        }
+        
+        return { windowLength, fftSize, hamming, filters, dct };
+    }
+    
+    /**
+     * 基数2の反復型FFT
+     * @private
+     * @param {Float32Array} real 実部（上書きされる）
+     * @param {Float32Array} imag 虚部（上書きされる）
+     */
+    fft(real, imag) {
+        const n = real.length;
+        const { bitReversal, cosTable, sinTable } = this.getFftTables(n);
+        
+        // ビット反転順に並べ替え
+        for (let i = 0; i < n; i++) {
+            const j = bitReversal[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        
+        for (let size = 2; size <= n; size *= 2) {
+            const half = size / 2;
+            const step = n / size;
+            
+            for (let start = 0; start < n; start += size) {
+                for (let j = 0; j < half; j++) {
+                    const cos = cosTable[j * step];
+                    const sin = -sinTable[j * step];
+                    const a = start + j;
+                    const b = a + half;
+                    
+                    const tr = real[b] * cos - imag[b] * sin;
+                    const ti = real[b] * sin + imag[b] * cos;
+                    
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+    
+    /**
+     * FFTサイズごとの事前計算テーブルを取得
+     * @private
+     * @param {number} n FFTサイズ
+     * @returns {Object} { bitReversal, cosTable, sinTable }
+     */
+    getFftTables(n) {
+        if (!this.fftTables[n]) {
+            const cosTable = new Float32Array(n / 2);
+            const sinTable = new Float32Array(n / 2);
+            for (let i = 0; i < n / 2; i++) {
+                cosTable[i] = Math.cos(2 * Math.PI * i / n);
+                sinTable[i] = Math.sin(2 * Math.PI * i / n);
+            }
+            
+            this.fftTables[n] = {
+                bitReversal: this.createBitReversalTable(n),
+                cosTable,
+                sinTable
+            };
+        }
+        
+        return this.fftTables[n];
+    }
+    
+    /**
+     * ブラックマン窓を作成（AnalyserNodeと同じ係数）
+     * @private
+     * @param {number} size
+     * @returns {Float32Array}
+     */
+    createBlackmanWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const x = 2 * Math.PI * i / size;
+            window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+        }
+        return window;
+    }
+    
+    /**
+     * ビット反転の並べ替えテーブルを作成
+     * @private
+     * @param {number} size
+     * @returns {Uint32Array}
+     */
+    createBitReversalTable(size) {
+        const bits = Math.log2(size);
+        const table = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            table[i] = reversed;
+        }
+        return table;
+    }
+    
+    /**
+     * スペクトル重心を計算（音色の特徴を表す）
+     * @private
+     * @param {Float32Array} magnitudes
+     * @returns {number}
+     */
+    calculateSpectralCentroid(magnitudes) {
+        let numerator = 0;
+        let denominator = 0;
+        
+        for (let i = 0; i < magnitudes.length; i++) {
+            numerator += magnitudes[i] * i;
+            denominator += magnitudes[i];
+        }
+        
+        return denominator !== 0 ? numerator / denominator : 0;
+    }
+    
+    /**
+     * RMS（二乗平均平方根）を計算（音量の指標）
+     * @private
+     * @param {Float32Array} timeData
+     * @returns {number}
+     */
+    calculateRMS(timeData) {
+        let sum = 0;
+        for (let i = 0; i < timeData.length; i++) {
+            sum += timeData[i] * timeData[i];
+        }
+        return Math.sqrt(sum / timeData.length);
+    }
+    
+    /**
+     * スペクトルフラックスを計算（スペクトルの変化量）
+     * @private
+     * @param {Float32Array} magnitudes
+     * @returns {number}
+     */
+    calculateSpectralFlux(magnitudes) {
+        if (!this.prevMagnitudes) {
+            this.prevMagnitudes = new Float32Array(magnitudes);
+            return 0;
+        }
+        
+        let sum = 0;
+        for (let i = 0; i < magnitudes.length; i++) {
+            const diff = magnitudes[i] - this.prevMagnitudes[i];
+            sum += diff * diff;
+        }
+        
+        // 前のフレームのデータを更新
+        this.prevMagnitudes.set(magnitudes);
+        
+        return Math.sqrt(sum);
+    }
+    
+    /**
+     * ゼロクロッシングレートを計算（基本周波数の近似）
+     * @private
+     * @param {Float32Array} timeData
+     * @returns {number}
+     */
+    calculateZeroCrossingRate(timeData) {
+        let count = 0;
+        for (let i = 1; i < timeData.length; i++) {
+            if ((timeData[i - 1] < 0 && timeData[i] >= 0) ||
+                (timeData[i - 1] >= 0 && timeData[i] < 0)) {
+                count++;
+            }
+        }
+        return count / timeData.length;
+    }
+    
+    /**
+     * 周波数帯域ごとのエネルギー分布を計算
+     * @private
+     * @param {Float32Array} magnitudes
+     * @param {number} sampleRate サンプリングレート
+     * @returns {Object} 帯域ごとのエネルギー
+     */
+    calculateBandEnergies(magnitudes, sampleRate) {
+        const bands = {
+            lowBand: 0,    // 低域（〜500Hz）
+            midBand: 0,    // 中域（500Hz〜2kHz）
+            highBand: 0    // 高域（2kHz〜）
+        };
+        
+        const nyquist = sampleRate / 2;
+        const lowCutoff = 500 / nyquist * magnitudes.length;
+        const midCutoff = 2000 / nyquist * magnitudes.length;
+        
+        // 各帯域のエネルギーを計算
+        for (let i = 0; i < magnitudes.length; i++) {
+            const magnitude = magnitudes[i];
+            
+            if (i < lowCutoff) {
+                bands.lowBand += magnitude;
+            } else if (i < midCutoff) {
+                bands.midBand += magnitude;
+            } else {
+                bands.highBand += magnitude;
+            }
+        }
+        
+        return bands;
+    }
+}
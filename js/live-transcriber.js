@@ -0,0 +1,284 @@
+/**
+ * ライブ文字起こしモジュール
+ * - 録音中に届いたセグメントを順番に文字起こし
+ * - セグメントごとに暫定的な話者ラベルを付与
+ * - 録音停止時にセグメント境界を調整した文字起こし結果を提供
+ */
+class LiveTranscriber {
+    /**
+     * @param {AudioProcessor} audioProcessor 音声処理モジュール
+     * @param {SpeechRecognizer} speechRecognizer 音声認識モジュール
+     * @param {SpeakerDiarization} diarization 話者分離モジュール
+     */
+    constructor(audioProcessor, speechRecognizer, diarization) {
+        this.audioProcessor = audioProcessor;
+        this.speechRecognizer = speechRecognizer;
+        this.diarization = diarization;
+        this.featureExtractor = new AudioFeatureExtractor();
+        
+        // 文字起こしオプション
+        this.transcriptionOptions = {};
+        
+        // 処理待ちのセグメント
+        this.queue = [];
+        this.processingPromise = null;
+        
+        // セグメントごとの文字起こし結果（時間はセッション内の位置に補正済み）
+        this.segmentResults = [];
+        
+        // 境界をまたぐ発話をつなげる最大の間隔（秒）
+        this.boundaryGap = 1.0;
+        
+        // これより短いセグメントは文字起こししない（秒）
+        this.minSegmentDuration = 0.5;
+        
+        // イベントコールバック
+        this.onSegmentTranscribed = null;
+        this.onError = null;
+    }
+    
+    /**
+     * 新しい録音セッションに向けて状態をリセット
+     * @param {Object} transcriptionOptions 文字起こしオプション
+     */
+    reset(transcriptionOptions = {}) {
+        this.transcriptionOptions = transcriptionOptions;
+        this.queue = [];
+        this.segmentResults = [];
+    }
+    
+    /**
+     * セグメントを処理キューに追加
+     * @param {Object} segment AudioProcessor.onSegmentAvailableから渡されるセグメント
+     */
+    enqueue(segment) {
+        this.queue.push(segment);
+        
+        if (!this.processingPromise) {
+            this.processingPromise = this.processQueue().finally(() => {
+                this.processingPromise = null;
+            });
+        }
+    }
+    
+    /**
+     * キュー内のすべてのセグメントの処理完了を待つ
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.processingPromise) {
+            await this.processingPromise;
+        }
+    }
+    
+    /**
+     * キューを先頭から順に処理
+     * @private
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        while (this.queue.length > 0) {
+            const segment = this.queue.shift();
+            
+            try {
+                await this.processSegment(segment);
+            } catch (error) {
+                console.error('セグメントの文字起こしに失敗しました:', error);
+                
+                // エラーコールバックを呼び出し
+                if (this.onError) {
+                    this.onError({
+                        phase: 'live-transcription',
+                        index: segment.index,
+                        error: error.message || 'セグメントの文字起こし中にエラーが発生しました'
+                    });
+                }
+            }
+        }
+    }
+    
+    /**
+     * ひとつのセグメントを文字起こしして暫定的な話者ラベルを付与
+     * @private
+     * @param {Object} segment
+     * @returns {Promise<void>}
+     */
+    async processSegment(segment) {
+        const { index, startTime, endTime, pcm, sampleRate } = segment;
+        
+        if (endTime - startTime < this.minSegmentDuration) {
+            return;
+        }
+        
+        // Whisperの入力形式（16kHzモノラル）に変換
+        const audioData = await this.audioProcessor.resample(pcm, sampleRate, 16000);
+        
+        // 文字起こし
+        const transcription = await this.speechRecognizer.transcribe(audioData, {
+            ...this.transcriptionOptions,
+            return_timestamps: 'word'
+        });
+        
+        // タイムスタンプをセッション内の位置に補正
+        const chunks = this.offsetChunks(transcription.chunks, startTime, endTime);
+        
+        const result = {
+            index,
+            startTime,
+            endTime,
+            chunks,
+            segments: []
+        };
+        
+        // このセグメントの音声特性だけで暫定的に話者分離
+        if (chunks.length > 0) {
+            const features = await this.featureExtractor.extract(audioData, 16000, {
+                timeOffset: startTime
+            });
+            
+            const diarizationResult = await this.diarization.processDiarization(
+                features,
+                { text: transcription.text, chunks },
+                { silent: true }
+            );
+            
+            result.segments = diarizationResult.segments.map(s => ({ ...s, provisional: true }));
+        }
+        
+        this.segmentResults.push(result);
+        this.segmentResults.sort((a, b) => a.index - b.index);
+        
+        // コールバックを呼び出し
+        if (this.onSegmentTranscribed) {
+            this.onSegmentTranscribed(result);
+        }
+    }
+    
+    /**
+     * チャンク（と単語）のタイムスタンプをセグメントの開始位置だけずらす
+     * @private
+     * @param {Array} chunks Whisperのチャンク
+     * @param {number} startTime セグメントの開始時間（秒）
+     * @param {number} endTime セグメントの終了時間（秒）
+     * @returns {Array} 補正されたチャンク
+     */
+    offsetChunks(chunks, startTime, endTime) {
+        return chunks
+            .filter(chunk => chunk.text && chunk.text.trim().length > 0)
+            .map(chunk => {
+                const offsetTimestamp = ([chunkStart, chunkEnd]) => {
+                    // 末尾のチャンクは終了時間がnullになることがあるためセグメント終端で補う
+                    const start = Math.min(startTime + (chunkStart || 0), endTime);
+                    const end = chunkEnd === null || chunkEnd === undefined
+                        ? endTime
+                        : Math.min(startTime + chunkEnd, endTime);
+                    return [start, Math.max(start, end)];
+                };
+                
+                const offsetChunk = {
+                    ...chunk,
+                    text: chunk.text.trim(),
+                    timestamp: offsetTimestamp(chunk.timestamp)
+                };
+                
+                if (chunk.words) {
+                    offsetChunk.words = chunk.words.map(word => ({ ...word, timestamp: offsetTimestamp(word.timestamp) }));
+                }
+                
+                return offsetChunk;
+            });
+    }
+    
+    /**
+     * これまでの暫定セグメントをすべて取得
+     * @returns {Array} 話者ラベル付きの暫定セグメント
+     */
+    getProvisionalSegments() {
+        return this.segmentResults.flatMap(result => result.segments);
+    }
+    
+    /**
+     * セグメント境界を調整したセッション全体の文字起こし結果を取得
+     * @returns {Object} SpeechRecognizer.transcribe()と同じ形式の結果
+     */
+    getTranscription() {
+        const chunks = [];
+        
+        this.segmentResults.forEach(result => {
+            result.chunks.forEach((chunk, i) => {
+                const previous = chunks[chunks.length - 1];
+                
+                // セグメント先頭のチャンクは、直前のチャンクと一続きの発話であればつなげる
+                if (i === 0 && previous && this.isContinuation(previous, chunk)) {
+                    const joined = {
+                        ...previous,
+                        text: this.joinText(previous.text, chunk.text),
+                        timestamp: [previous.timestamp[0], chunk.timestamp[1]]
+                    };
+                    
+                    // 単語のタイミングは両方にある場合のみ残す
+                    if (previous.words && chunk.words) {
+                        joined.words = previous.words.concat(chunk.words);
+                    } else {
+                        delete joined.words;
+                    }
+                    
+                    chunks[chunks.length - 1] = joined;
+                } else {
+                    chunks.push({ ...chunk });
+                }
+            });
+        });
+        
+        const text = chunks.reduce((joined, chunk) => this.joinText(joined, chunk.text), '');
+        const last = chunks[chunks.length - 1];
+        
+        // 言語を自動検出した場合はセグメントごとに異なることがあるため、セッション全体で集計する
+        const languages = this.speechRecognizer.rankLanguages(chunks);
+        
+        return {
+            text,
+            chunks,
+            language: languages[0] || this.transcriptionOptions.language || null,
+            languages,
+            duration: last ? last.timestamp[1] : 0
+        };
+    }
+    
+    /**
+     * 境界をまたいで二つのチャンクが一続きの発話かどうかを判定
+     * @private
+     * @param {Object} previous 前のセグメントの末尾のチャンク
+     * @param {Object} next 次のセグメントの先頭のチャンク
+     * @returns {boolean}
+     */
+    isContinuation(previous, next) {
+        // 文末記号で終わっていれば別の発話とみなす
+        if (/[。．.!?！？]$/.test(previous.text)) {
+            return false;
+        }
+        
+        // 言語が切り替わっていれば別の発話とみなす
+        if (previous.language && next.language && previous.language !== next.language) {
+            return false;
+        }
+        
+        return next.timestamp[0] - previous.timestamp[1] <= this.boundaryGap;
+    }
+    
+    /**
+     * テキストを連結（英数字同士の場合のみ空白を挟む）
+     * @private
+     * @param {string} a
+     * @param {string} b
+     * @returns {string}
+     */
+    joinText(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        
+        return /[A-Za-z0-9]$/.test(a) && /^[A-Za-z0-9]/.test(b)
+            ? `${a} ${b}`
+            : `${a}${b}`;
+    }
+}
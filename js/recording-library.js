@@ -0,0 +1,377 @@
+/**
+ * 録音ライブラリモジュール
+ * - IndexedDBに保存された録音の一覧を表示
+ * - 録音を開く、名前の変更、削除、まとめて削除の操作を提供
+ */
+class RecordingLibrary {
+    /**
+     * @param {HTMLElement} containerElement 一覧を描画する要素
+     * @param {AudioDatabase} database データベース
+     */
+    constructor(containerElement, database) {
+        this.container = containerElement;
+        this.database = database;
+        
+        // 表示中の録音（新しい順）
+        this.items = [];
+        
+        // まとめて削除するために選択された録音ID
+        this.selectedIds = new Set();
+        
+        // 現在開いている録音ID
+        this.activeRecordingId = null;
+        
+        // 録音・処理中は操作を受け付けない
+        this.isDisabled = false;
+        
+        // イベントコールバック
+        this.onOpen = null;
+        this.onDelete = null;
+        this.onSelectionChange = null;
+        
+        this.container.addEventListener('click', this.handleClick.bind(this));
+        this.container.addEventListener('change', this.handleChange.bind(this));
+    }
+    
+    /**
+     * データベースから一覧を読み込み直して描画
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const [recordings, transcripts] = await Promise.all([
+            this.database.getRecordings(),
+            this.database.getAllTranscripts()
+        ]);
+        
+        const transcriptsById = new Map(transcripts.map(t => [t.recordingId, t]));
+        
+        this.items = recordings
+            .map(recording => this.createItem(recording, transcriptsById.get(recording.id)))
+            .sort((a, b) => b.date.localeCompare(a.date));
+        
+        // 削除済みの録音は選択から外す
+        const existingIds = new Set(this.items.map(item => item.id));
+        this.selectedIds.forEach(id => {
+            if (!existingIds.has(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * 一覧に表示する項目を作成
+     * @private
+     * @param {Object} recording 録音セッション
+     * @param {Object|undefined} transcript 文字起こし結果
+     * @returns {Object}
+     */
+    createItem(recording, transcript) {
+        const segments = transcript ? transcript.segments : [];
+        const speakers = new Set(
+            segments
+                .map(segment => segment.speaker)
+                .filter(speaker => speaker && speaker !== 'Unknown')
+        );
+        
+        let status = 'none';
+        if (segments.length > 0) {
+            status = 'done';
+        } else if (transcript) {
+            status = 'empty';
+        } else if (!recording.blob) {
+            status = 'incomplete';
+        }
+        
+        return {
+            id: recording.id,
+            name: recording.name,
+            date: recording.date,
+            duration: recording.duration || 0,
+            speakerCount: speakers.size,
+            status
+        };
+    }
+    
+    /**
+     * 現在開いている録音を設定
+     * @param {number|null} recordingId 録音ID
+     */
+    setActiveRecording(recordingId) {
+        this.activeRecordingId = recordingId;
+        this.render();
+    }
+    
+    /**
+     * 操作の有効・無効を切り替え
+     * @param {boolean} disabled
+     */
+    setDisabled(disabled) {
+        if (this.isDisabled === disabled) return;
+        
+        this.isDisabled = disabled;
+        this.render();
+    }
+    
+    /**
+     * 選択されている録音IDを取得
+     * @returns {Array<number>}
+     */
+    getSelectedIds() {
+        return Array.from(this.selectedIds);
+    }
+    
+    /**
+     * すべての録音を選択/選択解除
+     * @param {boolean} selected
+     */
+    selectAll(selected) {
+        this.selectedIds = selected ? new Set(this.items.map(item => item.id)) : new Set();
+        this.render();
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * 選択された録音をまとめて削除
+     * @returns {Promise<Array<number>>} 削除した録音ID
+     */
+    async deleteSelected() {
+        const ids = this.getSelectedIds();
+        if (ids.length === 0 || this.isDisabled) {
+            return [];
+        }
+        
+        if (!confirm(`選択した${ids.length}件の録音を削除しますか？（録音データと文字起こし結果は元に戻せません）`)) {
+            return [];
+        }
+        
+        await this.database.deleteRecordings(ids);
+        this.selectedIds.clear();
+        
+        if (this.onDelete) {
+            this.onDelete(ids);
+        }
+        
+        await this.refresh();
+        this.notifySelectionChange();
+        
+        return ids;
+    }
+    
+    /**
+     * 一覧を描画
+     * @private
+     */
+    render() {
+        if (this.items.length === 0) {
+            this.container.innerHTML = '<div class="library-empty">保存された録音はありません</div>';
+            return;
+        }
+        
+        this.container.innerHTML = this.items.map(item => this.createItemHtml(item)).join('');
+    }
+    
+    /**
+     * 録音1件分の表示用HTMLを生成
+     * @private
+     * @param {Object} item
+     * @returns {string} HTML
+     */
+    createItemHtml(item) {
+        const disabled = this.isDisabled ? ' disabled' : '';
+        const checked = this.selectedIds.has(item.id) ? ' checked' : '';
+        const itemClass = item.id === this.activeRecordingId ? 'library-item active' : 'library-item';
+        const speakerText = item.speakerCount > 0 ? `${item.speakerCount}人` : '-';
+        
+        return `
+            <div class="${itemClass}" data-recording-id="${item.id}">
+                <input type="checkbox" class="library-select" title="選択"${checked}${disabled}>
+                <div class="library-info">
+                    <div class="library-name">${this.escapeHtml(item.name)}</div>
+                    <div class="library-meta">
+                        <span>${this.formatDate(item.date)}</span>
+                        <span>${this.formatDuration(item.duration)}</span>
+                        <span>話者: ${speakerText}</span>
+                        <span class="library-status ${item.status}">${this.getStatusLabel(item.status)}</span>
+                    </div>
+                </div>
+                <div class="library-actions">
+                    <button class="btn btn-small" data-action="open"${disabled}>
+                        <i class="fas fa-folder-open"></i> 開く
+                    </button>
+                    <button class="btn btn-small btn-secondary" data-action="rename" title="名前を変更"${disabled}>
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-small btn-danger" data-action="delete" title="削除"${disabled}>
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 一覧内のボタンのクリックを処理
+     * @private
+     * @param {MouseEvent} event
+     */
+    async handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button || this.isDisabled) return;
+        
+        const itemElement = button.closest('.library-item');
+        const recordingId = parseInt(itemElement.getAttribute('data-recording-id'), 10);
+        const item = this.items.find(i => i.id === recordingId);
+        if (!item) return;
+        
+        try {
+            switch (button.getAttribute('data-action')) {
+                case 'open':
+                    if (this.onOpen) {
+                        await this.onOpen(recordingId);
+                    }
+                    break;
+                
+                case 'rename':
+                    await this.renameItem(item);
+                    break;
+                
+                case 'delete':
+                    await this.deleteItem(item);
+                    break;
+            }
+        } catch (error) {
+            console.error('録音ライブラリの操作に失敗しました:', error);
+            alert('録音ライブラリの操作に失敗しました');
+        }
+    }
+    
+    /**
+     * チェックボックスの変更を処理
+     * @private
+     * @param {Event} event
+     */
+    handleChange(event) {
+        if (!event.target.classList.contains('library-select')) return;
+        
+        const itemElement = event.target.closest('.library-item');
+        const recordingId = parseInt(itemElement.getAttribute('data-recording-id'), 10);
+        
+        if (event.target.checked) {
+            this.selectedIds.add(recordingId);
+        } else {
+            this.selectedIds.delete(recordingId);
+        }
+        
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * 録音の名前を変更
+     * @private
+     * @param {Object} item
+     */
+    async renameItem(item) {
+        const name = prompt('録音の名前を入力してください', item.name);
+        if (name === null || name.trim() === '' || name.trim() === item.name) {
+            return;
+        }
+        
+        await this.database.renameRecording(item.id, name.trim());
+        await this.refresh();
+    }
+    
+    /**
+     * 録音を削除
+     * @private
+     * @param {Object} item
+     */
+    async deleteItem(item) {
+        if (!confirm(`「${item.name}」を削除しますか？（録音データと文字起こし結果は元に戻せません）`)) {
+            return;
+        }
+        
+        await this.database.deleteRecording(item.id);
+        this.selectedIds.delete(item.id);
+        
+        if (this.onDelete) {
+            this.onDelete([item.id]);
+        }
+        
+        await this.refresh();
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * 選択状態の変更を通知
+     * @private
+     */
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedIds());
+        }
+    }
+    
+    /**
+     * 文字起こしの状態を表示用の文字列に変換
+     * @private
+     * @param {string} status
+     * @returns {string}
+     */
+    getStatusLabel(status) {
+        const labels = {
+            done: '文字起こし済み',
+            empty: '発話なし',
+            none: '未処理',
+            incomplete: '録音未完了'
+        };
+        
+        return labels[status] || labels.none;
+    }
+    
+    /**
+     * 日時を表示用の文字列に変換
+     * @private
+     * @param {string} isoString
+     * @returns {string}
+     */
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleString('ja-JP', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    /**
+     * 録音時間を表示用の文字列（HH:MM:SS）に変換
+     * @private
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        
+        return [hrs, mins, secs].map(v => String(v).padStart(2, '0')).join(':');
+    }
+    
+    /**
+     * HTMLの特殊文字をエスケープ
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
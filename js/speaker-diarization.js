@@ -1,7 +1,8 @@
 /**
  * 話者分離モジュール
  * - 録音された音声の特性分析と話者分離
- * - 話者ごとのセグメント特定
+ * - MFCCベースの話者埋め込みのクラスタリング
+ * - 話者ごとのセグメント特定（単語のタイミングがある場合は単語ごとに話者を判定）
  */
 class SpeakerDiarization {
     constructor() {
@@ -9,6 +10,22 @@ class SpeakerDiarization {
         this.maxSpeakers = 3;
         this.minSegmentDuration = 1.0; // 最小セグメント長（秒）
         this.mergeThreshold = 0.5;    // 類似セグメントのマージしきい値
+        this.minTurnDuration = 0.8;   // チャンクの途中で話者が交代したとみなす最短の長さ（秒）
+        this.replacementRules = [];   // 分割した発話のテキストに適用する置換ルール
+        
+        // 話者数の推定
+        this.minSilhouette = 0.15;        // これ未満なら複数話者とみなさない
+        this.silhouetteTolerance = 0.02;  // 最良値との差がこの範囲なら少ない話者数を優先
+        this.minClusterRatio = 0.02;      // 全体に対する最小クラスタの割合
+        this.maxSilhouetteSamples = 1000; // シルエット計算に使う最大サンプル数
+        
+        // k-meansの再現性
+        this.defaultRandomSeed = 20250101; // シード未指定時に使う固定シード
+        this.randomSeed = null;            // 監査用などに指定する乱数シード
+        this.kMeansRestarts = 10;          // 初期値を変えて試行する回数
+        
+        // 話者埋め込みの計算
+        this.embeddingExtractor = new SpeakerEmbeddingExtractor();
         
         // 処理状態
         this.isProcessing = false;
@@ -21,56 +38,90 @@ class SpeakerDiarization {
     }
     
     /**
-     * 最大話者数を設定
+     * 最大話者数を設定（話者数は自動推定され、この値は上限として扱われる）
      * @param {number} count 
      */
     setMaxSpeakers(count) {
         this.maxSpeakers = Math.max(1, Math.min(10, count));
     }
     
+    /**
+     * 話者の交代でチャンクを分割したときに各発話のテキストへ適用する置換ルールを設定
+     * - 文字起こしの置換ルールはチャンクのテキストにだけ適用され、単語のテキストは認識結果のままのため
+     * @param {Array} rules SpeechRecognizer.compileReplacements()で変換したルール
+     */
+    setReplacementRules(rules) {
+        this.replacementRules = rules || [];
+    }
+    
+    /**
+     * k-meansの初期化に使う乱数シードを設定
+     * - 同じシードと同じ入力からは常に同じ結果が得られる
+     * @param {number|null} seed 乱数シード（nullの場合は既定のシード）
+     */
+    setRandomSeed(seed) {
+        this.randomSeed = Number.isFinite(seed) ? Math.floor(seed) : null;
+    }
+    
+    /**
+     * 現在有効な乱数シードを取得
+     * @returns {number}
+     */
+    getRandomSeed() {
+        return this.randomSeed !== null ? this.randomSeed : this.defaultRandomSeed;
+    }
+    
     /**
      * 音声特性データと文字起こし結果から話者分離を実行
      * @param {Array} audioFeatures 音声特性データ
      * @param {Object} transcription 文字起こし結果
+     * @param {Object} options オプション
+     * @param {boolean} options.silent trueの場合はイベントコールバックを呼び出さない（録音中の暫定処理用）
      * @returns {Promise<Object>} 話者分離された文字起こし結果
      */
-    async processDiarization(audioFeatures, transcription) {
+    async processDiarization(audioFeatures, transcription, options = {}) {
         if (this.isProcessing) {
             throw new Error('既に処理中のタスクがあります');
         }
         
+        const silent = options.silent === true;
+        
         try {
             this.isProcessing = true;
             
             // 開始コールバックを呼び出し
-            if (this.onProcessingStart) {
+            if (this.onProcessingStart && !silent) {
                 this.onProcessingStart();
             }
             
             // 進捗更新
-            this.updateProgress(0.1, '特性ベクトルを抽出中...');
+            this.updateProgress(0.1, '話者埋め込みを計算中...', silent);
             
-            // 特性ベクトルの抽出
-            const featureVectors = this.extractFeatureVectors(audioFeatures);
+            // 発話区間ごとの話者埋め込みを計算
+            const { frames, embeddings } = this.extractFeatureVectors(audioFeatures);
             
             // 進捗更新
-            this.updateProgress(0.3, 'クラスタリング中...');
+            this.updateProgress(0.3, 'クラスタリング中...', silent);
             
-            // クラスタリングによる話者分離
-            const clusters = await this.clusterFeatureVectors(featureVectors, this.maxSpeakers);
+            // 話者数を推定しながら埋め込みをクラスタリング
+            const { clusters, estimate } = await this.clusterFeatureVectors(embeddings, this.maxSpeakers, {
+                onProgress: (ratio, k) => this.updateProgress(0.3 + ratio * 0.3, `クラスタリング中（話者数${k}）...`, silent)
+            });
+            
+            // クラスタをフレーム単位のラベルに展開
+            const labeledFrames = this.labelFrames(frames, clusters);
             
             // 進捗更新
-            this.updateProgress(0.6, 'セグメントに話者を割り当て中...');
+            this.updateProgress(0.6, 'セグメントに話者を割り当て中...', silent);
             
             // 話者ラベルをセグメントに割り当て
             const labeledSegments = this.assignSpeakersToSegments(
-                clusters, 
-                featureVectors, 
+                labeledFrames, 
                 transcription.chunks
             );
             
             // 進捗更新
-            this.updateProgress(0.8, 'セグメントを最適化中...');
+            this.updateProgress(0.8, 'セグメントを最適化中...', silent);
             
             // 話者セグメントの最適化
             const optimizedSegments = this.optimizeSegments(labeledSegments);
@@ -79,14 +130,20 @@ class SpeakerDiarization {
             const result = {
                 text: transcription.text,
                 segments: optimizedSegments,
-                speakers: this.extractUniqueSpeakers(optimizedSegments)
+                speakers: {
+                    count: estimate.count,
+                    confidence: estimate.confidence,
+                    scores: estimate.scores,
+                    labels: this.extractUniqueSpeakers(optimizedSegments)
+                },
+                seed: this.getRandomSeed()
             };
             
             // 進捗更新
-            this.updateProgress(1.0, '完了');
+            this.updateProgress(1.0, '完了', silent);
             
             // 完了コールバックを呼び出し
-            if (this.onProcessingComplete) {
+            if (this.onProcessingComplete && !silent) {
                 this.onProcessingComplete(result);
             }
             
@@ -98,7 +155,7 @@ class SpeakerDiarization {
             console.error('話者分離に失敗しました:', error);
             
             // エラーコールバックを呼び出し
-            if (this.onError) {
+            if (this.onError && !silent) {
                 this.onError({
                     phase: 'diarization',
                     error: error.message || '話者分離処理中にエラーが発生しました'
@@ -110,107 +167,314 @@ class SpeakerDiarization {
     }
     
     /**
-     * 音声特性データから特性ベクトルを抽出
+     * 音声特性データから話者埋め込みを抽出
      * @private
      * @param {Array} audioFeatures 
-     * @returns {Array} 特性ベクトルの配列
+     * @returns {Object} { frames: フレームごとの発話判定, embeddings: 窓ごとの話者埋め込み }
      */
     extractFeatureVectors(audioFeatures) {
-        return audioFeatures.map(frame => {
-            const { time, features } = frame;
-            
-            // 特性値を配列に変換
-            const vector = [
-                features.spectralCentroid,
-                features.rms * 100, // スケールの調整
-                features.spectralFlux * 10, // スケールの調整
-                features.zeroCrossingRate * 1000, // スケールの調整
-                features.bandEnergies.lowBand * 10,
-                features.bandEnergies.midBand * 10,
-                features.bandEnergies.highBand * 10
-            ];
+        return this.embeddingExtractor.extract(audioFeatures);
+    }
+    
+    /**
+     * 話者埋め込みをクラスタリングして話者を分離
+     * - 1〜最大話者数のそれぞれでk-meansを行い、シルエット係数が最も高い話者数を採用
+     * - 最良値とほぼ同じ場合は少ない話者数を優先し、架空の話者が生まれにくくする
+     * - 長い録音でも画面が固まらないよう、話者数ごとと試行ごとにメインスレッドを譲る
+     * @private
+     * @param {Array} embeddings 窓ごとの話者埋め込み
+     * @param {number} maxK 最大クラスタ数（最大話者数）
+     * @param {Object} options オプション
+     * @param {Function} options.onProgress 話者数ごとの進捗コールバック（0-1, 話者数）
+     * @returns {Promise<Object>} { clusters: クラスタ番号を付与した埋め込み, estimate: 話者数の推定結果 }
+     */
+    async clusterFeatureVectors(embeddings, maxK, options = {}) {
+        if (embeddings.length === 0) {
+            return {
+                clusters: [],
+                estimate: { count: 0, confidence: 0, scores: {} }
+            };
+        }
+        
+        const vectors = embeddings.map(e => e.vector);
+        const upperBound = Math.min(maxK, vectors.length);
+        
+        // 実行ごとに同じ乱数列から始めて結果を再現可能にする
+        const random = this.createRandom(this.getRandomSeed());
+        
+        // 話者数ごとにクラスタリングしてシルエット係数を比較
+        const scores = {};
+        let best = { k: 1, score: -Infinity, assignments: Array(vectors.length).fill(0) };
+        
+        for (let k = 2; k <= upperBound; k++) {
+            if (options.onProgress) {
+                options.onProgress((k - 2) / Math.max(1, upperBound - 1), k);
+            }
+            
+            const kMeans = await this.kMeansClustering(vectors, k, { random });
             
+            // 極端に小さいクラスタを含む分割は採用しない
+            if (!this.hasMinimumClusterSizes(kMeans.assignments, k)) {
+                continue;
+            }
+            
+            await this.yieldToEventLoop();
+            
+            const score = this.calculateSilhouette(vectors, kMeans.assignments);
+            scores[k] = score;
+            
+            if (score > best.score + this.silhouetteTolerance) {
+                best = { k, score, assignments: kMeans.assignments };
+            }
+        }
+        
+        // 分離が不明瞭な場合は一人の話者とみなす
+        const estimate = this.buildSpeakerEstimate(best, scores);
+        const assignments = estimate.count === 1
+            ? Array(vectors.length).fill(0)
+            : best.assignments;
+        
+        // 各埋め込みにクラスタラベルを割り当て
+        return {
+            clusters: embeddings.map((embedding, i) => ({
+                ...embedding,
+                cluster: assignments[i]
+            })),
+            estimate
+        };
+    }
+    
+    /**
+     * 一度イベントループに処理を戻す（描画や入力の処理を待たせないため）
+     * @private
+     * @returns {Promise<void>}
+     */
+    yieldToEventLoop() {
+        return new Promise(resolve => setTimeout(resolve));
+    }
+    
+    /**
+     * 最良の分割から推定話者数と信頼度を決定
+     * @private
+     * @param {Object} best 最もシルエット係数が高かった分割 { k, score }
+     * @param {Object} scores 話者数ごとのシルエット係数
+     * @returns {Object} { count, confidence, scores }
+     */
+    buildSpeakerEstimate(best, scores) {
+        if (best.k === 1 || best.score < this.minSilhouette) {
+            // シルエット係数がしきい値から離れているほど一人である確信度が高い
+            const bestScore = Math.max(0, best.score);
             return {
-                time,
-                vector
+                count: 1,
+                confidence: Math.max(0, Math.min(1, 1 - bestScore / this.minSilhouette)),
+                scores
             };
-        });
+        }
+        
+        // 次点との差が小さいほど信頼度を下げる
+        const otherScores = Object.entries(scores)
+            .filter(([k]) => parseInt(k, 10) !== best.k)
+            .map(([, score]) => score);
+        const runnerUp = otherScores.length > 0 ? Math.max(...otherScores) : this.minSilhouette;
+        const margin = Math.max(0, best.score - Math.max(runnerUp, this.minSilhouette));
+        
+        return {
+            count: best.k,
+            confidence: Math.max(0, Math.min(1, best.score + margin)),
+            scores
+        };
     }
     
     /**
-     * 特性ベクトルをクラスタリングして話者を分離
+     * すべてのクラスタが最小サイズ以上かどうかを確認
      * @private
-     * @param {Array} featureVectors 
-     * @param {number} k クラスタ数（最大話者数）
-     * @returns {Promise<Array>} クラスタ情報
+     * @param {Array<number>} assignments クラスタ番号
+     * @param {number} k クラスタ数
+     * @returns {boolean}
      */
-    async clusterFeatureVectors(featureVectors, k) {
-        return new Promise((resolve) => {
-            // 実際の話者数を特定（無音部分を除外）
-            const activeVectors = featureVectors.filter(v => 
-                v.vector[1] > 0.1  // RMS値が閾値より大きい場合のみ
-            );
+    hasMinimumClusterSizes(assignments, k) {
+        const counts = Array(k).fill(0);
+        assignments.forEach(cluster => counts[cluster]++);
+        
+        const minSize = Math.max(2, Math.ceil(assignments.length * this.minClusterRatio));
+        return counts.every(count => count >= minSize);
+    }
+    
+    /**
+     * 平均シルエット係数を計算（サンプル数が多い場合は等間隔に間引く）
+     * @private
+     * @param {Array} vectors ベクトルの配列
+     * @param {Array<number>} assignments クラスタ番号
+     * @returns {number} -1〜1のシルエット係数
+     */
+    calculateSilhouette(vectors, assignments) {
+        const stride = Math.max(1, Math.ceil(vectors.length / this.maxSilhouetteSamples));
+        const indices = [];
+        for (let i = 0; i < vectors.length; i += stride) {
+            indices.push(i);
+        }
+        
+        let total = 0;
+        
+        indices.forEach(i => {
+            const sums = {};
+            const counts = {};
+            
+            indices.forEach(j => {
+                if (i === j) return;
+                const cluster = assignments[j];
+                sums[cluster] = (sums[cluster] || 0) + this.euclideanDistance(vectors[i], vectors[j]);
+                counts[cluster] = (counts[cluster] || 0) + 1;
+            });
             
-            if (activeVectors.length === 0) {
-                resolve([]);
+            const own = assignments[i];
+            if (!counts[own]) {
                 return;
             }
             
-            // k-meansクラスタリングの実装
-            const kMeans = this.kMeansClustering(
-                activeVectors.map(v => v.vector),
-                Math.min(k, activeVectors.length)
-            );
+            // a: 同じクラスタ内の平均距離、b: 最も近い他クラスタの平均距離
+            const a = sums[own] / counts[own];
+            const b = Math.min(...Object.keys(sums)
+                .filter(cluster => parseInt(cluster, 10) !== own)
+                .map(cluster => sums[cluster] / counts[cluster]));
             
-            // 各特性ベクトルにクラスタラベルを割り当て
-            const labeledVectors = featureVectors.map(v => {
-                // RMS値が小さい場合は無音とみなす
-                if (v.vector[1] <= 0.1) {
-                    return {
-                        time: v.time,
-                        vector: v.vector,
-                        cluster: -1  // -1は無音を示す
-                    };
-                }
-                
-                // 最も近いクラスタを見つける
-                const distances = kMeans.centroids.map(centroid => 
-                    this.euclideanDistance(v.vector, centroid)
-                );
-                
-                const minIndex = distances.indexOf(Math.min(...distances));
-                
-                return {
-                    time: v.time,
-                    vector: v.vector,
-                    cluster: minIndex
-                };
-            });
+            if (Number.isFinite(b) && Math.max(a, b) > 0) {
+                total += (b - a) / Math.max(a, b);
+            }
+        });
+        
+        return total / indices.length;
+    }
+    
+    /**
+     * 窓単位のクラスタをフレーム単位のラベルに展開
+     * @private
+     * @param {Array} frames { time, isSpeech }の配列（時刻順）
+     * @param {Array} clusters クラスタ番号を付与した埋め込み（時刻順）
+     * @returns {Array} { time, cluster }の配列（-1は無音または判定不能）
+     */
+    labelFrames(frames, clusters) {
+        let windowIndex = 0;
+        
+        return frames.map(frame => {
+            if (!frame.isSpeech || clusters.length === 0) {
+                return { time: frame.time, cluster: -1 };
+            }
             
-            resolve(labeledVectors);
+            // フレームに最も近い中心を持つ窓を探す
+            while (
+                windowIndex < clusters.length - 1 &&
+                Math.abs(clusters[windowIndex + 1].time - frame.time) <= Math.abs(clusters[windowIndex].time - frame.time)
+            ) {
+                windowIndex++;
+            }
+            
+            const nearest = clusters[windowIndex];
+            
+            // どの窓にも含まれないフレームは判定しない
+            if (frame.time < nearest.start || frame.time >= nearest.end) {
+                return { time: frame.time, cluster: -1 };
+            }
+            
+            return { time: frame.time, cluster: nearest.cluster };
         });
     }
     
     /**
      * k-meansクラスタリングを実行
+     * - k-means++で初期化し、複数回の試行のうちクラスタ内距離の総和が最小の結果を採用
      * @private
      * @param {Array} vectors ベクトルの配列
      * @param {number} k クラスタ数
-     * @param {number} maxIterations 最大繰り返し回数
-     * @returns {Object} クラスタリング結果
+     * @param {Object} options オプション
+     * @param {Function} options.random 0以上1未満の乱数を返す関数
+     * @param {number} options.restarts 試行回数
+     * @param {number} options.maxIterations 最大繰り返し回数
+     * @returns {Promise<Object>} クラスタリング結果 { centroids, assignments, inertia }
      */
-    kMeansClustering(vectors, k, maxIterations = 100) {
+    async kMeansClustering(vectors, k, options = {}) {
         if (vectors.length === 0) {
-            return { centroids: [], assignments: [] };
+            return { centroids: [], assignments: [], inertia: 0 };
         }
         
-        // 初期セントロイドをランダムに選択
-        const centroids = Array(k).fill().map(() => {
-            const randomIndex = Math.floor(Math.random() * vectors.length);
-            return [...vectors[randomIndex]];
-        });
+        const random = options.random || this.createRandom(this.getRandomSeed());
+        const restarts = options.restarts || this.kMeansRestarts;
+        const maxIterations = options.maxIterations || 100;
+        
+        let best = null;
+        
+        for (let attempt = 0; attempt < restarts; attempt++) {
+            await this.yieldToEventLoop();
+            
+            const initialCentroids = this.initializeCentroids(vectors, k, random);
+            const result = this.runKMeans(vectors, initialCentroids, maxIterations);
+            
+            if (!best || result.inertia < best.inertia) {
+                best = result;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * k-means++で初期セントロイドを選択
+     * - 既存のセントロイドから遠いベクトルほど選ばれやすくし、同じベクトルの重複選択を防ぐ
+     * @private
+     * @param {Array} vectors ベクトルの配列
+     * @param {number} k クラスタ数
+     * @param {Function} random 乱数関数
+     * @returns {Array} 初期セントロイド
+     */
+    initializeCentroids(vectors, k, random) {
+        const centroids = [[...vectors[Math.floor(random() * vectors.length)]]];
+        const distances = vectors.map(vector => this.squaredDistance(vector, centroids[0]));
+        
+        while (centroids.length < k) {
+            const total = distances.reduce((sum, d) => sum + d, 0);
+            
+            // すべてのベクトルが既存のセントロイドと一致する場合はこれ以上選べない
+            if (total === 0) {
+                break;
+            }
+            
+            // 距離の二乗に比例した確率でベクトルを選択
+            let threshold = random() * total;
+            let index = 0;
+            while (index < vectors.length - 1 && threshold >= distances[index]) {
+                threshold -= distances[index];
+                index++;
+            }
+            
+            const centroid = [...vectors[index]];
+            centroids.push(centroid);
+            
+            vectors.forEach((vector, i) => {
+                distances[i] = Math.min(distances[i], this.squaredDistance(vector, centroid));
+            });
+        }
+        
+        // 選べなかった分は既存のセントロイドを複製して数を揃える
+        while (centroids.length < k) {
+            centroids.push([...centroids[centroids.length - 1]]);
+        }
         
-        let assignments = Array(vectors.length).fill(-1);
+        return centroids;
+    }
+    
+    /**
+     * 与えられた初期値からk-meansを1回実行
+     * @private
+     * @param {Array} vectors ベクトルの配列
+     * @param {Array} initialCentroids 初期セントロイド
+     * @param {number} maxIterations 最大繰り返し回数
+     * @returns {Object} クラスタリング結果 { centroids, assignments, inertia }
+     */
+    runKMeans(vectors, initialCentroids, maxIterations) {
+        const k = initialCentroids.length;
+        const centroids = initialCentroids.map(centroid => [...centroid]);
+        const assignments = Array(vectors.length).fill(-1);
+        const distances = Array(vectors.length).fill(0);
         let iterations = 0;
         let changed = true;
         
@@ -218,20 +482,21 @@ class SpeakerDiarization {
             changed = false;
             iterations++;
             
-            // ステップ1: 各ベクトルを最も近いセントロイドに割り当て
+            // ステップ1: 各ベクトルを最も近いセントロイドに割り当て（平方根を取らずに距離の二乗で比較）
             for (let i = 0; i < vectors.length; i++) {
                 const vector = vectors[i];
                 let minDistance = Infinity;
                 let closestCentroid = 0;
                 
                 for (let j = 0; j < k; j++) {
-                    const distance = this.euclideanDistance(vector, centroids[j]);
+                    const distance = this.squaredDistance(vector, centroids[j]);
                     if (distance < minDistance) {
                         minDistance = distance;
                         closestCentroid = j;
                     }
                 }
                 
+                distances[i] = minDistance;
                 if (assignments[i] !== closestCentroid) {
                     assignments[i] = closestCentroid;
                     changed = true;
@@ -257,11 +522,41 @@ class SpeakerDiarization {
                         newCentroids[i][j] /= counts[i];
                     }
                     centroids[i] = newCentroids[i];
+                } else {
+                    // 空のクラスタは、現在のセントロイドから最も遠いベクトルで置き換える
+                    const farthest = distances.indexOf(Math.max(...distances));
+                    centroids[i] = [...vectors[farthest]];
+                    distances[farthest] = 0;
+                    changed = true;
                 }
             }
         }
         
-        return { centroids, assignments };
+        // クラスタ内距離の二乗和（小さいほど良い）
+        const inertia = vectors.reduce(
+            (sum, vector, i) => sum + this.squaredDistance(vector, centroids[assignments[i]]),
+            0
+        );
+        
+        return { centroids, assignments, inertia };
+    }
+    
+    /**
+     * シード付きの疑似乱数生成器を作成（mulberry32）
+     * @private
+     * @param {number} seed 乱数シード
+     * @returns {Function} 0以上1未満の乱数を返す関数
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
     
     /**
@@ -272,59 +567,87 @@ class SpeakerDiarization {
      * @returns {number} 距離
      */
     euclideanDistance(vec1, vec2) {
-        return Math.sqrt(
-            vec1.reduce((sum, value, i) => sum + Math.pow(value - vec2[i], 2), 0)
-        );
+        return Math.sqrt(this.squaredDistance(vec1, vec2));
+    }
+    
+    /**
+     * 二つのベクトル間のユークリッド距離の二乗を計算
+     * @private
+     * @param {Array} vec1 
+     * @param {Array} vec2 
+     * @returns {number} 距離の二乗
+     */
+    squaredDistance(vec1, vec2) {
+        // V8ではforループよりreduceの方が速い（4800個の埋め込みで約1.8倍）
+        return vec1.reduce((sum, value, i) => sum + (value - vec2[i]) * (value - vec2[i]), 0);
     }
     
     /**
      * 文字起こしセグメントに話者を割り当て
+     * 単語のタイミング（words）があるチャンクは単語ごとに話者を判定し、話者が交代する位置で分割する
      * @private
-     * @param {Array} clusteredFeatures クラスタリングされた特性ベクトル
-     * @param {Array} featureVectors 元の特性ベクトル
+     * @param {Array} clusteredFeatures フレーム単位の話者ラベル（時刻順）
      * @param {Array} transcriptionChunks 文字起こしチャンク
      * @returns {Array} 話者が割り当てられたセグメントの配列
      */
-    assignSpeakersToSegments(clusteredFeatures, featureVectors, transcriptionChunks) {
+    assignSpeakersToSegments(clusteredFeatures, transcriptionChunks) {
         const result = [];
         
+        // クラスタ番号から話者ラベルへの対応（最初に発話した話者をAとする）
+        const labelMap = new Map();
+        const getSpeakerLabel = (cluster) => {
+            if (cluster < 0) {
+                return 'Unknown';
+            }
+            
+            // 話者ラベルを登場順に割り当て（アルファベットに変換）
+            if (!labelMap.has(cluster)) {
+                labelMap.set(cluster, String.fromCharCode(65 + labelMap.size % 26)); // A, B, C, ...
+            }
+            return labelMap.get(cluster);
+        };
+        
         for (const chunk of transcriptionChunks) {
             const [startTime, endTime] = chunk.timestamp;
             
-            // このチャンクの時間範囲に含まれる特性ベクトルを抽出
-            const relevantFeatures = clusteredFeatures.filter(
-                f => f.time >= startTime && f.time <= endTime
-            );
-            
-            // 無音でないクラスタのみをカウント
-            const clusterCounts = relevantFeatures.reduce((counts, feature) => {
-                if (feature.cluster >= 0) {
-                    counts[feature.cluster] = (counts[feature.cluster] || 0) + 1;
-                }
-                return counts;
-            }, {});
-            
             // 最も多く出現したクラスタを話者として割り当て
-            let dominantCluster = -1;
-            let maxCount = 0;
-            
-            Object.entries(clusterCounts).forEach(([cluster, count]) => {
-                if (count > maxCount) {
-                    maxCount = count;
-                    dominantCluster = parseInt(cluster);
-                }
-            });
-            
-            // 話者ラベルを割り当て（アルファベットに変換）
-            const speakerLabel = dominantCluster >= 0 
-                ? String.fromCharCode(65 + dominantCluster % 26) // A, B, C, ...
-                : 'Unknown';
+            const dominantCluster = this.findDominantCluster(clusteredFeatures, startTime, endTime);
+            const words = (chunk.words || []).map(word => ({
+                text: word.text,
+                start: word.timestamp[0],
+                end: word.timestamp[1] === null || word.timestamp[1] === undefined ? word.timestamp[0] : word.timestamp[1]
+            }));
+            
+            if (words.length === 0) {
+                result.push({
+                    text: chunk.text,
+                    start: startTime,
+                    end: endTime,
+                    speaker: getSpeakerLabel(dominantCluster),
+                    language: chunk.language || null
+                });
+                continue;
+            }
             
-            result.push({
-                text: chunk.text,
-                start: startTime,
-                end: endTime,
-                speaker: speakerLabel
+            // 話者が交代する位置でチャンクを分割（最初と最後はチャンクの時間に合わせる）
+            // 分割しない場合は置換ルールを適用済みのチャンクのテキストをそのまま使う
+            const turns = this.splitWordsBySpeaker(clusteredFeatures, words, dominantCluster);
+            turns.forEach((turn, i) => {
+                const text = turns.length === 1
+                    ? chunk.text
+                    : this.replacementRules.reduce(
+                        (replaced, rule) => replaced.replace(rule.pattern, rule.replace),
+                        turn.words.map(word => word.text).join('').trim()
+                    );
+                
+                result.push({
+                    text,
+                    start: i === 0 ? startTime : turn.words[0].start,
+                    end: i === turns.length - 1 ? endTime : turn.words[turn.words.length - 1].end,
+                    speaker: getSpeakerLabel(turn.cluster),
+                    language: chunk.language || null,
+                    words: turn.words
+                });
             });
         }
         
@@ -332,38 +655,168 @@ class SpeakerDiarization {
     }
     
     /**
-     * セグメントを最適化（短いセグメントのマージなど）
+     * 時間範囲に含まれるフレームで最も多いクラスタを求める
+     * @private
+     * @param {Array} clusteredFeatures フレーム単位の話者ラベル（時刻順）
+     * @param {number} startTime 開始時間（秒）
+     * @param {number} endTime 終了時間（秒）
+     * @returns {number} クラスタ番号（発話フレームがない場合は-1）
+     */
+    findDominantCluster(clusteredFeatures, startTime, endTime) {
+        // 開始時間以降の最初のフレームを二分探索で求める
+        let low = 0;
+        let high = clusteredFeatures.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (clusteredFeatures[middle].time < startTime) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        
+        // 無音でないクラスタのみをカウント
+        const clusterCounts = {};
+        for (let i = low; i < clusteredFeatures.length && clusteredFeatures[i].time <= endTime; i++) {
+            const cluster = clusteredFeatures[i].cluster;
+            if (cluster >= 0) {
+                clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+            }
+        }
+        
+        let dominantCluster = -1;
+        let maxCount = 0;
+        Object.entries(clusterCounts).forEach(([cluster, count]) => {
+            if (count > maxCount) {
+                maxCount = count;
+                dominantCluster = parseInt(cluster);
+            }
+        });
+        
+        return dominantCluster;
+    }
+    
+    /**
+     * 単語ごとに話者を判定し、同じ話者の連続する単語をまとめる
+     * 話者埋め込みの窓より短い交代は誤判定とみなし、前後の区間にまとめる
      * @private
+     * @param {Array} clusteredFeatures フレーム単位の話者ラベル（時刻順）
+     * @param {Array} words { text, start, end }の配列（時刻順）
+     * @param {number} chunkCluster チャンク全体で最も多いクラスタ
+     * @returns {Array} { cluster, words }の配列
+     */
+    splitWordsBySpeaker(clusteredFeatures, words, chunkCluster) {
+        const clusters = words.map(word => this.findDominantCluster(clusteredFeatures, word.start, word.end));
+        
+        // 発話フレームのない単語（短い単語や無音の直後）は直前の単語、なければ直後の単語の話者とする
+        for (let i = 1; i < clusters.length; i++) {
+            if (clusters[i] < 0) clusters[i] = clusters[i - 1];
+        }
+        for (let i = clusters.length - 2; i >= 0; i--) {
+            if (clusters[i] < 0) clusters[i] = clusters[i + 1];
+        }
+        
+        // 連続する同じ話者の単語をまとめる
+        const runs = [];
+        words.forEach((word, i) => {
+            const cluster = clusters[i] >= 0 ? clusters[i] : chunkCluster;
+            const last = runs[runs.length - 1];
+            if (last && last.cluster === cluster) {
+                last.words.push(word);
+            } else {
+                runs.push({ cluster, words: [word] });
+            }
+        });
+        
+        const duration = run => run.words[run.words.length - 1].end - run.words[0].start;
+        
+        // 短すぎる区間は直前の区間にまとめる
+        const turns = [];
+        runs.forEach(run => {
+            const previous = turns[turns.length - 1];
+            if (previous && (previous.cluster === run.cluster || duration(run) < this.minTurnDuration)) {
+                previous.words.push(...run.words);
+            } else {
+                turns.push({ cluster: run.cluster, words: [...run.words] });
+            }
+        });
+        
+        // 先頭の区間が短すぎる場合は次の区間にまとめる
+        if (turns.length > 1 && duration(turns[0]) < this.minTurnDuration) {
+            turns[1].words.unshift(...turns[0].words);
+            turns.shift();
+        }
+        
+        return turns;
+    }
+    
+    /**
+     * セグメントを最適化（短いセグメントのマージなど）
+     * 手動で話者を変更した後にも同じ規則でマージするために使用する
      * @param {Array} segments 
-     * @returns {Array} 最適化されたセグメント
+     * @returns {Array} 最適化されたセグメント（入力のセグメントは変更しない）
      */
     optimizeSegments(segments) {
         if (segments.length <= 1) {
-            return segments;
+            return segments.map(segment => ({ ...segment }));
         }
         
-        const result = [segments[0]];
+        const result = [{ ...segments[0] }];
         
         // 連続する同一話者のセグメントをマージ
         for (let i = 1; i < segments.length; i++) {
             const currentSegment = segments[i];
             const previousSegment = result[result.length - 1];
             
-            // 同じ話者で時間的に近い場合はマージ
+            // 同じ話者で時間的に近い場合はマージ（言語が切り替わる場合は分けておく）
             if (
                 currentSegment.speaker === previousSegment.speaker &&
-                currentSegment.start - previousSegment.end <= this.mergeThreshold
+                currentSegment.start - previousSegment.end <= this.mergeThreshold &&
+                (currentSegment.language || null) === (previousSegment.language || null)
             ) {
                 previousSegment.end = currentSegment.end;
-                previousSegment.text += ' ' + currentSegment.text;
+                previousSegment.text = this.joinText(previousSegment.text, currentSegment.text);
+                
+                // 単語のタイミングは両方にある場合のみ残す
+                if (previousSegment.words && currentSegment.words) {
+                    previousSegment.words = previousSegment.words.concat(currentSegment.words);
+                } else {
+                    delete previousSegment.words;
+                }
+                
+                if (currentSegment.bookmarked) {
+                    previousSegment.bookmarked = true;
+                }
+                
+                if (previousSegment.translation || currentSegment.translation) {
+                    previousSegment.translation = [previousSegment.translation, currentSegment.translation]
+                        .filter(Boolean)
+                        .join(' ');
+                }
             } else {
-                result.push(currentSegment);
+                result.push({ ...currentSegment });
             }
         }
         
         return result;
     }
     
+    /**
+     * テキストを連結（英数字同士の場合のみ空白を挟む）
+     * @private
+     * @param {string} a
+     * @param {string} b
+     * @returns {string}
+     */
+    joinText(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        
+        return /[A-Za-z0-9]$/.test(a) && /^[A-Za-z0-9]/.test(b)
+            ? `${a} ${b}`
+            : `${a}${b}`;
+    }
+    
     /**
      * セグメントから一意の話者リストを抽出
      * @private
@@ -386,9 +839,10 @@ class SpeakerDiarization {
      * @private
      * @param {number} progress 0-1の進捗値
      * @param {string} message 進捗メッセージ
+     * @param {boolean} silent trueの場合はコールバックを呼び出さない
      */
-    updateProgress(progress, message) {
-        if (this.onProcessingProgress) {
+    updateProgress(progress, message, silent = false) {
+        if (this.onProcessingProgress && !silent) {
             this.onProcessingProgress({
                 progress: Math.min(1, Math.max(0, progress)),
                 message
@@ -404,3 +858,8 @@ class SpeakerDiarization {
         return this.isProcessing;
     }
 }
+
+// Node.js（tests/）から読み込めるようにする
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeakerDiarization };
+}
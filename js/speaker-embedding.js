@@ -0,0 +1,238 @@
+/**
+ * 話者埋め込みモジュール
+ * - フレームごとのMFCCから発話区間を窓単位で要約した話者埋め込みを計算
+ * - ケプストラム平均・分散正規化（CMVN）で録音環境や音量の影響を抑える
+ */
+class SpeakerEmbeddingExtractor {
+    /**
+     * @param {Object} options オプション
+     * @param {number} options.windowDuration 埋め込みを計算する窓の長さ（秒）
+     * @param {number} options.windowStep 窓をずらす間隔（秒）
+     * @param {number} options.minSpeechRatio 窓内に必要な発話フレームの割合
+     */
+    constructor(options = {}) {
+        this.windowDuration = options.windowDuration || 1.5;
+        this.windowStep = options.windowStep || 0.75;
+        this.minSpeechRatio = options.minSpeechRatio || 0.5;
+        
+        // デルタ係数の計算に使う前後のフレーム数
+        this.deltaWidth = 2;
+        
+        // 発話判定（RMSの絶対的な下限と、ノイズフロアに対する倍率）
+        this.minSpeechRms = 0.001;
+        this.noiseFloorPercentile = 0.1;
+        this.noiseFloorFactor = 2.0;
+    }
+    
+    /**
+     * 音声特性データから話者埋め込みを計算
+     * @param {Array} audioFeatures 時系列の音声特性データ（features.mfccを含む）
+     * @returns {Object} { frames: [{ time, isSpeech }], embeddings: [{ time, start, end, vector }] }
+     */
+    extract(audioFeatures) {
+        const speechFlags = this.detectSpeech(audioFeatures);
+        const frames = audioFeatures.map((frame, i) => ({
+            time: frame.time,
+            isSpeech: speechFlags[i]
+        }));
+        
+        // MFCCがない（古い形式の）特性データからは埋め込みを作れない
+        if (audioFeatures.length === 0 || !audioFeatures[0].features.mfcc) {
+            return { frames, embeddings: [] };
+        }
+        
+        // 0次（エネルギー）は音量に強く依存するため除外する
+        const cepstra = audioFeatures.map(frame => frame.features.mfcc.slice(1));
+        
+        const normalized = this.applyCmvn(cepstra, speechFlags);
+        const deltas = this.computeDeltas(normalized);
+        const frameVectors = normalized.map((vector, i) => vector.concat(deltas[i]));
+        
+        const embeddings = this.computeWindowEmbeddings(frames, frameVectors);
+        
+        return {
+            frames,
+            embeddings: this.normalizeEmbeddings(embeddings)
+        };
+    }
+    
+    /**
+     * RMSに基づいて各フレームが発話かどうかを判定
+     * @private
+     * @param {Array} audioFeatures
+     * @returns {Array<boolean>}
+     */
+    detectSpeech(audioFeatures) {
+        if (audioFeatures.length === 0) {
+            return [];
+        }
+        
+        // 下位のRMSをノイズフロアとみなしてしきい値を決める
+        // （無音のない録音で小さい声の話者を除外しないよう、上位の音量から-20dBを上限とする）
+        const sorted = audioFeatures.map(frame => frame.features.rms).sort((a, b) => a - b);
+        const noiseFloor = sorted[Math.floor(sorted.length * this.noiseFloorPercentile)];
+        const loudLevel = sorted[Math.floor((sorted.length - 1) * 0.9)];
+        const threshold = Math.max(
+            this.minSpeechRms,
+            Math.min(noiseFloor * this.noiseFloorFactor, loudLevel * 0.1)
+        );
+        
+        return audioFeatures.map(frame => frame.features.rms > threshold);
+    }
+    
+    /**
+     * ケプストラム平均・分散正規化（発話フレームの統計量を使用）
+     * @private
+     * @param {Array<Array<number>>} cepstra
+     * @param {Array<boolean>} speechFlags
+     * @returns {Array<Array<number>>}
+     */
+    applyCmvn(cepstra, speechFlags) {
+        const speechCepstra = cepstra.filter((_, i) => speechFlags[i]);
+        const reference = speechCepstra.length > 0 ? speechCepstra : cepstra;
+        const dims = cepstra[0].length;
+        
+        const mean = Array(dims).fill(0);
+        const variance = Array(dims).fill(0);
+        
+        reference.forEach(vector => {
+            for (let d = 0; d < dims; d++) {
+                mean[d] += vector[d] / reference.length;
+            }
+        });
+        reference.forEach(vector => {
+            for (let d = 0; d < dims; d++) {
+                variance[d] += Math.pow(vector[d] - mean[d], 2) / reference.length;
+            }
+        });
+        
+        const std = variance.map(v => Math.sqrt(v) || 1);
+        
+        return cepstra.map(vector => vector.map((value, d) => (value - mean[d]) / std[d]));
+    }
+    
+    /**
+     * 回帰式によるデルタ係数を計算
+     * @private
+     * @param {Array<Array<number>>} vectors
+     * @returns {Array<Array<number>>}
+     */
+    computeDeltas(vectors) {
+        const n = this.deltaWidth;
+        const last = vectors.length - 1;
+        let denominator = 0;
+        for (let i = 1; i <= n; i++) {
+            denominator += 2 * i * i;
+        }
+        
+        return vectors.map((vector, t) => vector.map((_, d) => {
+            let sum = 0;
+            for (let i = 1; i <= n; i++) {
+                const next = vectors[Math.min(last, t + i)][d];
+                const previous = vectors[Math.max(0, t - i)][d];
+                sum += i * (next - previous);
+            }
+            return sum / denominator;
+        }));
+    }
+    
+    /**
+     * 窓ごとに発話フレームの平均と標準偏差をまとめて埋め込みを作成
+     * @private
+     * @param {Array} frames { time, isSpeech }の配列（時刻順）
+     * @param {Array<Array<number>>} frameVectors フレームごとの特徴ベクトル
+     * @returns {Array} { time, start, end, vector }の配列
+     */
+    computeWindowEmbeddings(frames, frameVectors) {
+        const embeddings = [];
+        if (frames.length === 0) {
+            return embeddings;
+        }
+        
+        const dims = frameVectors[0].length;
+        const firstTime = frames[0].time;
+        const lastTime = frames[frames.length - 1].time;
+        let firstIndex = 0;
+        
+        for (let start = firstTime; start <= lastTime; start += this.windowStep) {
+            const end = start + this.windowDuration;
+            
+            // 窓の開始位置までインデックスを進める
+            while (firstIndex < frames.length && frames[firstIndex].time < start) {
+                firstIndex++;
+            }
+            
+            const speechVectors = [];
+            let frameCount = 0;
+            for (let i = firstIndex; i < frames.length && frames[i].time < end; i++) {
+                frameCount++;
+                if (frames[i].isSpeech) {
+                    speechVectors.push(frameVectors[i]);
+                }
+            }
+            
+            if (speechVectors.length < 2 || speechVectors.length < frameCount * this.minSpeechRatio) {
+                continue;
+            }
+            
+            const mean = Array(dims).fill(0);
+            const std = Array(dims).fill(0);
+            speechVectors.forEach(vector => {
+                for (let d = 0; d < dims; d++) {
+                    mean[d] += vector[d] / speechVectors.length;
+                }
+            });
+            speechVectors.forEach(vector => {
+                for (let d = 0; d < dims; d++) {
+                    std[d] += Math.pow(vector[d] - mean[d], 2) / speechVectors.length;
+                }
+            });
+            
+            embeddings.push({
+                time: start + this.windowDuration / 2,
+                start,
+                end,
+                vector: mean.concat(std.map(Math.sqrt))
+            });
+        }
+        
+        return embeddings;
+    }
+    
+    /**
+     * 埋め込み全体の平均を引いてから単位ベクトルに正規化
+     * （ユークリッド距離がコサイン距離と同じ順序になる）
+     * @private
+     * @param {Array} embeddings
+     * @returns {Array}
+     */
+    normalizeEmbeddings(embeddings) {
+        if (embeddings.length === 0) {
+            return embeddings;
+        }
+        
+        const dims = embeddings[0].vector.length;
+        const mean = Array(dims).fill(0);
+        
+        embeddings.forEach(({ vector }) => {
+            for (let d = 0; d < dims; d++) {
+                mean[d] += vector[d] / embeddings.length;
+            }
+        });
+        
+        return embeddings.map(embedding => {
+            const centered = embedding.vector.map((value, d) => value - mean[d]);
+            const norm = Math.sqrt(centered.reduce((sum, value) => sum + value * value, 0)) || 1;
+            
+            return {
+                ...embedding,
+                vector: centered.map(value => value / norm)
+            };
+        });
+    }
+}
+
+// Node.js（tests/）から読み込めるようにする
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeakerEmbeddingExtractor };
+}
@@ -0,0 +1,309 @@
+/**
+ * 音声認識ワーカー
+ * - Whisperモデルの読み込みと推論をメインスレッドから切り離して実行
+ * - SpeechRecognizerとメッセージでやり取りする
+ *
+ * 受け取るメッセージ:
+ *   { type: 'load', id, model }                  モデルを読み込む
+ *   { type: 'transcribe', id, audio, options }   文字起こしを実行（options.promptは初期プロンプト）
+ *   { type: 'cancel', id }                       実行中の文字起こしを中止
+ *
+ * 送るメッセージ:
+ *   { type: 'load-progress', id, progress }      モデル読み込みの進捗
+ *   { type: 'loaded', id }                       モデル読み込みの完了
+ *   { type: 'progress', id, progress }           文字起こしの進捗（0〜1）
+ *   { type: 'partial', id, text }                確定したチャンクまでの途中結果
+ *   { type: 'result', id, result }               文字起こしの結果（languageWindowsに区間ごとの言語、
+ *                                                wordTimestampsにchunksが単語単位かどうかを追加）
+ *   { type: 'cancelled', id }                    中止の完了
+ *   { type: 'error', id, error }                 エラー
+ */
+import { pipeline } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.15.0';
+
+// Whisperの入力のサンプリングレート
+const SAMPLE_RATE = 16000;
+
+// 読み込み済みのパイプライン
+let transcriber = null;
+let loadedModel = null;
+
+// 中止が要求された文字起こしのID
+const cancelledIds = new Set();
+
+// 初期プロンプトの最大トークン数（Whisperのデコーダの文脈長の半分まで）
+const MAX_PROMPT_TOKENS = 223;
+
+/**
+ * 中止を表すエラー
+ * @param {number} id 文字起こしのID
+ * @returns {Error}
+ */
+function createCancelError(id) {
+    const error = new Error('文字起こしを中止しました');
+    error.name = 'AbortError';
+    error.id = id;
+    return error;
+}
+
+/**
+ * 中止が要求されていれば処理を打ち切る
+ * @param {number} id 文字起こしのID
+ */
+function throwIfCancelled(id) {
+    if (cancelledIds.has(id)) {
+        throw createCancelError(id);
+    }
+}
+
+/**
+ * パイプラインがチャンクをずらす間隔を求める
+ * @param {Object} options パイプラインのオプション（chunk_length_s, stride_length_s）
+ * @returns {number} 間隔（秒）、分割しない場合は0
+ */
+function getChunkJump(options) {
+    if (!options.chunk_length_s) {
+        return 0;
+    }
+    
+    const stride = options.stride_length_s ?? options.chunk_length_s / 6;
+    return Math.max(0, options.chunk_length_s - 2 * stride);
+}
+
+/**
+ * パイプラインが音声を分割するチャンクの数を見積もる
+ * @param {Float32Array|string} audio 音声データ
+ * @param {Object} options パイプラインのオプション（chunk_length_s, stride_length_s）
+ * @returns {number}
+ */
+function estimateChunkCount(audio, options) {
+    const jump = getChunkJump(options) * SAMPLE_RATE;
+    if (typeof audio === 'string' || jump <= 0) {
+        return 1;
+    }
+    
+    // パイプラインはjumpずつずらしながら、次の位置が音声の末尾を越えるまでチャンクを作る
+    return Math.max(1, Math.ceil(audio.length / jump));
+}
+
+/**
+ * チャンクのトークン列から言語トークン（<|ja|>など）を探す
+ * 言語を指定しなかった場合は、Whisperがチャンクごとに検出した言語になる
+ * @param {Array<number>} tokens トークンID
+ * @returns {string|null} 言語コード
+ */
+function findLanguageCode(tokens) {
+    for (const token of tokens) {
+        const match = /^<\|([a-z]{2,3})\|>$/.exec(transcriber.tokenizer.decode([token]));
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * 特殊トークンのIDを取得
+ * @param {string} token トークン（<|startoftranscript|>など）
+ * @returns {number}
+ */
+function getSpecialTokenId(token) {
+    return transcriber.tokenizer.model.tokens_to_ids.get(token);
+}
+
+/**
+ * 初期プロンプトをトークンIDに変換（長すぎる場合は先頭から上限まで）
+ * @param {string} prompt
+ * @returns {Array<number>}
+ */
+function encodePrompt(prompt) {
+    const ids = transcriber.tokenizer.encode(` ${prompt.trim()}`, null, { add_special_tokens: false });
+    return ids.slice(0, MAX_PROMPT_TOKENS);
+}
+
+/**
+ * 生成の設定に初期プロンプトを加える
+ * デコーダの入力を<|startofprev|> プロンプト <|startoftranscript|>で始め、
+ * 言語・タスクなど固定するトークンの位置をプロンプトの分だけ後ろにずらす
+ * @param {Object} config パイプラインがmodel.generate()に渡す生成の設定
+ * @param {Array<number>} promptIds プロンプトのトークンID
+ * @returns {Object} 新しい生成の設定
+ */
+function addPromptToGenerationConfig(config, promptIds) {
+    const decoderInputIds = [
+        getSpecialTokenId('<|startofprev|>'),
+        ...promptIds,
+        getSpecialTokenId('<|startoftranscript|>')
+    ];
+    const offset = decoderInputIds.length - 1;
+    const forcedIds = (config.forced_decoder_ids || []).map(([position, token]) => [position + offset, token]);
+    
+    return {
+        ...config,
+        decoder_input_ids: decoderInputIds,
+        // タイムスタンプなどの処理は固定するトークンの数と位置から生成の開始位置を求めるため、
+        // 入力済みのプロンプトも（効果のない）固定トークンとして含めておく
+        forced_decoder_ids: decoderInputIds.slice(1).map((token, i) => [i + 1, token]).concat(forcedIds)
+    };
+}
+
+/**
+ * チャンクのトークン列から初期プロンプトの部分を取り除く
+ * パイプラインはチャンクのトークン列をそのまま結果のテキストにするため、chunk_callbackの中で書き換える
+ * @param {Object} chunk chunk_callbackに渡されたチャンク
+ */
+function removePromptTokens(chunk) {
+    const tokens = Array.isArray(chunk.tokens[0]) ? chunk.tokens[0] : chunk.tokens;
+    const start = tokens.findIndex(token => Number(token) === getSpecialTokenId('<|startoftranscript|>'));
+    if (start <= 0) return;
+    
+    chunk.tokens = tokens.slice(start);
+    if (chunk.token_timestamps) {
+        chunk.token_timestamps = chunk.token_timestamps.slice(start);
+    }
+}
+
+/**
+ * モデルを読み込む
+ * @param {number} id メッセージID
+ * @param {string} model モデル名（Hugging Faceのリポジトリ名）
+ */
+async function load(id, model) {
+    if (loadedModel !== model) {
+        // 前のモデルのメモリを解放してから読み込む
+        if (transcriber) {
+            await transcriber.dispose();
+            transcriber = null;
+            loadedModel = null;
+        }
+        
+        transcriber = await pipeline('automatic-speech-recognition', model, {
+            revision: 'main',
+            quantized: false,
+            progress_callback: (progress) => {
+                self.postMessage({ type: 'load-progress', id, progress });
+            }
+        });
+        loadedModel = model;
+    }
+    
+    self.postMessage({ type: 'loaded', id });
+}
+
+/**
+ * 文字起こしを実行し、チャンクごとに進捗と途中結果を送る
+ * @param {number} id メッセージID
+ * @param {Float32Array|string} audio 16kHzモノラルの音声データ
+ * @param {Object} options パイプラインのオプション（promptは初期プロンプト）
+ */
+async function transcribe(id, audio, options) {
+    if (!transcriber) {
+        throw new Error('音声認識モデルが初期化されていません');
+    }
+    
+    // パイプラインは初期プロンプトに対応していないため、モデルの生成の設定に直接加える
+    const { prompt, ...pipelineOptions } = options;
+    
+    // 単語のタイムスタンプにはモデルの生成の設定にalignment_headsが必要（ない場合は文単位にする）
+    if (pipelineOptions.return_timestamps === 'word' && !transcriber.model.generation_config?.alignment_heads) {
+        pipelineOptions.return_timestamps = true;
+    }
+    
+    const promptIds = prompt ? encodePrompt(prompt) : [];
+    const model = transcriber.model;
+    if (promptIds.length > 0) {
+        // タスクを省略すると固定するトークンがなくなるため、明示しておく
+        pipelineOptions.task = pipelineOptions.task || 'transcribe';
+        
+        const generate = model.generate;
+        model.generate = (inputs, config, ...rest) => {
+            return generate.call(model, inputs, addPromptToGenerationConfig(config, promptIds), ...rest);
+        };
+    }
+    
+    // 音声の長さとチャンクの設定から、全体のチャンク数を見積もる
+    const totalChunks = estimateChunkCount(audio, options);
+    let processedChunks = 0;
+    let partialText = '';
+    
+    // チャンクごとの言語（重なりを除いた時間範囲、秒）
+    const jump = getChunkJump(options);
+    const languageWindows = [];
+    
+    // チャンクごとに言語を記録し、進捗と途中結果を送る
+    const handleChunk = (chunk) => {
+        throwIfCancelled(id);
+        processedChunks++;
+        
+        if (promptIds.length > 0) {
+            removePromptTokens(chunk);
+        }
+        
+        const tokens = Array.from(Array.isArray(chunk.tokens[0]) ? chunk.tokens[0] : chunk.tokens, Number);
+        
+        // stride: [チャンクの長さ, 左の重なり, 右の重なり]（秒）
+        const [length, left, right] = chunk.stride;
+        const windowStart = (processedChunks - 1) * jump;
+        const language = findLanguageCode(tokens);
+        if (language) {
+            languageWindows.push({ start: windowStart + left, end: windowStart + length - right, language });
+        }
+        
+        // 確定したチャンクのテキストを途中結果として送る
+        const text = transcriber.tokenizer.decode(tokens, { skip_special_tokens: true });
+        if (text.trim()) {
+            partialText += text;
+            self.postMessage({ type: 'partial', id, text: partialText.trim() });
+        }
+        
+        self.postMessage({
+            type: 'progress',
+            id,
+            progress: chunk.is_last ? 1 : Math.min(1, processedChunks / totalChunks)
+        });
+    };
+    
+    let result;
+    try {
+        result = await transcriber(audio, {
+            ...pipelineOptions,
+            // 生成の各ステップで中止を確認する
+            callback_function: () => throwIfCancelled(id),
+            chunk_callback: handleChunk
+        });
+    } finally {
+        // 上書きしたgenerateを取り除き、元のメソッドに戻す
+        delete model.generate;
+    }
+    
+    throwIfCancelled(id);
+    self.postMessage({
+        type: 'result',
+        id,
+        result: { ...result, languageWindows, wordTimestamps: pipelineOptions.return_timestamps === 'word' }
+    });
+}
+
+self.addEventListener('message', async (event) => {
+    const { type, id } = event.data;
+    
+    if (type === 'cancel') {
+        cancelledIds.add(id);
+        return;
+    }
+    
+    try {
+        if (type === 'load') {
+            await load(id, event.data.model);
+        } else if (type === 'transcribe') {
+            await transcribe(id, event.data.audio, event.data.options);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError' && error.id === id) {
+            self.postMessage({ type: 'cancelled', id });
+        } else {
+            self.postMessage({ type: 'error', id, error: error.message || String(error) });
+        }
+    } finally {
+        cancelledIds.delete(id);
+    }
+});
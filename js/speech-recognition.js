@@ -2,6 +2,10 @@
  * 音声認識モジュール
  * - Transformers.jsを使用したWhisperモデルによる音声認識
  * - 録音された音声データをテキストに変換
+ * - 音声から直接英語に翻訳し、文字起こしのセグメントに対応付ける
+ * - 用語集を初期プロンプトとして渡し、置換ルールで既知の誤認識を修正
+ * - 単語ごとのタイムスタンプから文単位のチャンクを作り、各チャンクに単語のタイミングを残す
+ * - モデルの読み込みと推論はWeb Worker（speech-recognition-worker.js）で実行
  */
 class SpeechRecognizer {
     constructor() {
@@ -14,8 +18,23 @@ class SpeechRecognizer {
         
         // 現在のモデル
         this.currentModelId = 'whisper-tiny';
-        this.model = null;
-        this.processor = null;
+        this.isModelLoaded = false;
+        
+        // 推論を実行するワーカー
+        this.workerUrl = 'js/speech-recognition-worker.js';
+        this.worker = null;
+        
+        // ワーカーへの要求（IDごとの{ resolve, reject, onMessage }）
+        this.requests = new Map();
+        this.nextRequestId = 1;
+        this.currentTranscriptionId = null;
+        
+        // 中止を要求してから応答がない場合にワーカーを終了するまでの時間（ミリ秒）
+        this.cancelTimeout = 3000;
+        
+        // 単語をチャンクにまとめる際の区切り（単語間の無音と1つのチャンクの最大長、秒）
+        this.sentencePauseThreshold = 0.8;
+        this.maxSentenceDuration = 15;
         
         // 音声認識タスクの状態
         this.isLoading = false;
@@ -48,18 +67,16 @@ class SpeechRecognizer {
                 this.onModelLoad({ status: 'loading', model: modelId });
             }
             
-            // Transformers.jsのpipelineを初期化
-            this.processor = await pipeline(
-                'automatic-speech-recognition',
-                this.models[modelId],
-                {
-                    revision: 'main',
-                    quantized: false,
-                    progress_callback: this.handleModelLoadProgress.bind(this)
+            // ワーカーでTransformers.jsのpipelineを初期化
+            this.isModelLoaded = false;
+            await this.sendRequest({ type: 'load', model: this.models[modelId] }, (message) => {
+                if (message.type === 'load-progress') {
+                    this.handleModelLoadProgress(message.progress);
                 }
-            );
+            });
             
             this.currentModelId = modelId;
+            this.isModelLoaded = true;
             this.isLoading = false;
             
             // コールバックを呼び出し
@@ -101,12 +118,17 @@ class SpeechRecognizer {
     
     /**
      * 音声データから文字起こしを実行
-     * @param {Blob|ArrayBuffer|String} audioData 音声データ
+     * 実行中の文字起こしはcancel()で中止でき、その場合はnameが'AbortError'のエラーになる
+     * @param {Float32Array|String} audioData 音声データ（16kHzモノラルのPCMまたはURL）
      * @param {Object} options オプション
-     * @returns {Promise<Object>} 文字起こし結果
+     * @param {string|null} options.language 言語コード（'ja', 'en'など）、nullの場合は30秒ごとに自動検出
+     * @param {Array} options.glossary 用語集（{ term, reading }の配列）、用語は初期プロンプトとしてWhisperに渡す
+     * @param {Array} options.replacements 置換ルール（{ pattern, replacement, regex, flags }の配列）
+     * @param {boolean|string} options.return_timestamps 'word'の場合はチャンクごとに単語のタイミング（words）を含める
+     * @returns {Promise<Object>} 文字起こし結果（チャンクごとにlanguageを含む）
      */
     async transcribe(audioData, options = {}) {
-        if (!this.processor) {
+        if (!this.isModelLoaded) {
             throw new Error('音声認識モデルが初期化されていません');
         }
         
@@ -114,6 +136,19 @@ class SpeechRecognizer {
             throw new Error('既に処理中のタスクがあります');
         }
         
+        // 置換ルールは先に検証する（正規表現の誤りで文字起こしが無駄にならないように）
+        const { glossary = [], replacements = [], ...recognitionOptions } = options;
+        const rules = this.compileReplacements(glossary, replacements);
+        const prompt = this.createPrompt(glossary);
+        
+        // 中止でワーカーを終了した後は、同じモデルを読み込み直す
+        if (!this.worker) {
+            const reloaded = await this.initialize(this.currentModelId);
+            if (!reloaded) {
+                throw new Error('音声認識モデルの再読み込みに失敗しました');
+            }
+        }
+        
         try {
             this.isProcessing = true;
             
@@ -122,28 +157,41 @@ class SpeechRecognizer {
                 this.onTranscriptionStart();
             }
             
-            // 進捗コールバック関数の設定
-            const progressCallback = (progress) => {
-                if (this.onTranscriptionProgress) {
-                    this.onTranscriptionProgress(progress);
-                }
-            };
-            
             // 音声認識オプションの設定
             const transcriptionOptions = {
                 chunk_length_s: 30,
                 stride_length_s: 5,
-                language: 'japanese',
-                return_timestamps: true,
-                ...options,
-                callback_function: progressCallback
+                language: null,
+                return_timestamps: 'word',
+                ...recognitionOptions
             };
+            if (prompt) {
+                transcriptionOptions.prompt = prompt;
+            }
             
-            // 音声認識を実行
-            const result = await this.processor(audioData, transcriptionOptions);
+            // ワーカーで音声認識を実行（進捗と途中結果は進捗コールバックに渡す）
+            let progress = 0;
+            let partialText = '';
+            const result = await this.sendRequest({
+                type: 'transcribe',
+                audio: audioData,
+                options: transcriptionOptions
+            }, (message) => {
+                if (message.type === 'progress') {
+                    progress = message.progress;
+                } else if (message.type === 'partial') {
+                    partialText = message.text;
+                }
+                
+                if (this.onTranscriptionProgress) {
+                    this.onTranscriptionProgress({ progress, text: partialText });
+                }
+            }, (id) => {
+                this.currentTranscriptionId = id;
+            });
             
             // 結果の後処理
-            const processedResult = this.postProcessTranscription(result);
+            const processedResult = this.postProcessTranscription(result, transcriptionOptions.language, rules);
             
             // 完了コールバックを呼び出し
             if (this.onTranscriptionComplete) {
@@ -151,10 +199,18 @@ class SpeechRecognizer {
             }
             
             this.isProcessing = false;
+            this.currentTranscriptionId = null;
             return processedResult;
             
         } catch (error) {
             this.isProcessing = false;
+            this.currentTranscriptionId = null;
+            
+            // 中止はエラーとして通知しない
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            
             console.error('文字起こしに失敗しました:', error);
             
             // エラーコールバックを呼び出し
@@ -169,38 +225,417 @@ class SpeechRecognizer {
         }
     }
     
+    /**
+     * 音声データを英語に翻訳（Whisperのtranslateタスク）
+     * 結果の形式と中止の扱いはtranscribe()と同じ（単語のタイミングは翻訳では当てにならないため含めない）
+     * @param {Float32Array|String} audioData 音声データ（16kHzモノラルのPCMまたはURL）
+     * @param {Object} options オプション
+     * @param {string|null} options.language 元の音声の言語コード、nullの場合は自動検出
+     * @returns {Promise<Object>} 翻訳結果
+     */
+    async translate(audioData, options = {}) {
+        return this.transcribe(audioData, { ...options, task: 'translate', return_timestamps: true });
+    }
+    
+    /**
+     * 用語集からWhisperに渡す初期プロンプトを作成
+     * Whisperは前の文脈として与えられた表記に寄せて書き起こすため、用語を並べた文にする
+     * @param {Array} glossary 用語集（{ term, reading }の配列）
+     * @returns {string|null} プロンプト（用語がない場合はnull）
+     */
+    createPrompt(glossary) {
+        const terms = Array.from(new Set(
+            (glossary || []).map(entry => (entry.term || '').trim()).filter(Boolean)
+        ));
+        
+        return terms.length > 0 ? `${terms.join('、')}。` : null;
+    }
+    
+    /**
+     * 用語集の読み・誤表記と置換ルールを、文字起こし結果に適用できる形に変換
+     * 用語集の読みは用語への完全一致の置換として、置換ルールより先に適用する
+     * @param {Array} glossary 用語集（{ term, reading }の配列）
+     * @param {Array} replacements 置換ルール（{ pattern, replacement, regex, flags }の配列）
+     * @returns {Array} { pattern: RegExp, replace }の配列（適用する順）
+     */
+    compileReplacements(glossary = [], replacements = []) {
+        const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const rules = [];
+        
+        glossary.forEach(entry => {
+            const term = (entry.term || '').trim();
+            const reading = (entry.reading || '').trim();
+            if (term && reading && reading !== term) {
+                rules.push({ pattern: new RegExp(escapeRegExp(reading), 'g'), replace: () => term });
+            }
+        });
+        
+        replacements.forEach(rule => {
+            if (!rule.pattern) return;
+            
+            const replacement = rule.replacement || '';
+            
+            // 完全一致のルールは置換後の文字列の$も文字どおりに扱う
+            if (!rule.regex) {
+                rules.push({ pattern: new RegExp(escapeRegExp(rule.pattern), 'g'), replace: () => replacement });
+                return;
+            }
+            
+            let pattern;
+            try {
+                const flags = (rule.flags || '').replace(/g/g, '');
+                pattern = new RegExp(rule.pattern, `${flags}g`);
+            } catch (error) {
+                throw new Error(`置換ルールの正規表現が正しくありません: /${rule.pattern}/${rule.flags || ''}`);
+            }
+            
+            if (pattern.test('')) {
+                throw new Error(`空の文字列に一致する正規表現は置換ルールに使えません: /${rule.pattern}/${rule.flags || ''}`);
+            }
+            
+            rules.push({ pattern, replace: replacement });
+        });
+        
+        return rules;
+    }
+    
+    /**
+     * テキストに置換ルールを順に適用
+     * @param {string} text
+     * @param {Array} rules compileReplacements()で変換したルール
+     * @returns {string}
+     */
+    applyReplacements(text, rules) {
+        return rules.reduce((result, rule) => result.replace(rule.pattern, rule.replace), text || '');
+    }
+    
+    /**
+     * 翻訳結果のチャンクを文字起こしのセグメントに割り当てる
+     * 各チャンクは時間の重なりが最も大きいセグメント（重ならない場合は最も近いセグメント）に割り当てる
+     * @param {Array} segments 話者分離済みのセグメント
+     * @param {Array} chunks 翻訳結果のチャンク
+     * @returns {Array} translationを付けたセグメント（入力のセグメントは変更しない）
+     */
+    alignTranslation(segments, chunks) {
+        const translations = segments.map(() => []);
+        
+        chunks.forEach(chunk => {
+            const text = (chunk.text || '').trim();
+            if (!text) return;
+            
+            const [start, end] = chunk.timestamp;
+            const chunkEnd = end === null || end === undefined ? start : end;
+            
+            // 重ならない場合の値は間隔の長さを負にしたものになる
+            let bestIndex = -1;
+            let bestOverlap = -Infinity;
+            segments.forEach((segment, i) => {
+                const overlap = Math.min(chunkEnd, segment.end) - Math.max(start, segment.start);
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    bestIndex = i;
+                }
+            });
+            
+            if (bestIndex >= 0) {
+                translations[bestIndex].push(text);
+            }
+        });
+        
+        return segments.map((segment, i) => ({
+            ...segment,
+            translation: translations[i].join(' ')
+        }));
+    }
+    
+    /**
+     * 実行中の文字起こしを中止
+     * ワーカーが一定時間内に中止に応じない場合は、ワーカーを終了して強制的に止める
+     * @returns {Promise<void>} 中止が完了したとき
+     */
+    async cancel() {
+        const id = this.currentTranscriptionId;
+        if (id === null || !this.requests.has(id)) return;
+        
+        this.worker.postMessage({ type: 'cancel', id });
+        
+        await new Promise(resolve => {
+            const timerId = setTimeout(() => {
+                if (this.requests.has(id)) {
+                    this.terminateWorker();
+                }
+                resolve();
+            }, this.cancelTimeout);
+            
+            // 応答があれば待たずに完了とする
+            this.requests.get(id).onSettled = () => {
+                clearTimeout(timerId);
+                resolve();
+            };
+        });
+    }
+    
+    /**
+     * ワーカーを作成（作成済みの場合は何もしない）
+     * @private
+     */
+    ensureWorker() {
+        if (this.worker) return;
+        
+        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        this.worker.addEventListener('message', this.handleWorkerMessage.bind(this));
+        this.worker.addEventListener('error', (event) => {
+            // ワーカー自体のエラー（スクリプトの読み込み失敗など）は作り直して回復する
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.rejectAllRequests(new Error(event.message || '音声認識ワーカーでエラーが発生しました'));
+        });
+    }
+    
+    /**
+     * ワーカーに要求を送り、完了を待つ
+     * @private
+     * @param {Object} message 送るメッセージ（idは自動で付与）
+     * @param {Function} onMessage 途中経過のメッセージを受け取る関数
+     * @param {Function} onStart 要求IDを受け取る関数
+     * @returns {Promise<*>} 結果（文字起こしの場合はWhisperからの生の結果）
+     */
+    sendRequest(message, onMessage = null, onStart = null) {
+        this.ensureWorker();
+        
+        const id = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, onMessage, onSettled: null });
+            
+            if (onStart) {
+                onStart(id);
+            }
+            
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+    
+    /**
+     * ワーカーからのメッセージを処理
+     * @private
+     * @param {MessageEvent} event
+     */
+    handleWorkerMessage(event) {
+        const message = event.data;
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        
+        switch (message.type) {
+            case 'loaded':
+                this.settleRequest(message.id, () => request.resolve());
+                break;
+            case 'result':
+                this.settleRequest(message.id, () => request.resolve(message.result));
+                break;
+            case 'cancelled':
+                this.settleRequest(message.id, () => request.reject(this.createAbortError()));
+                break;
+            case 'error':
+                this.settleRequest(message.id, () => request.reject(new Error(message.error)));
+                break;
+            default:
+                if (request.onMessage) {
+                    request.onMessage(message);
+                }
+        }
+    }
+    
+    /**
+     * 要求を完了として取り除き、結果を通知
+     * @private
+     * @param {number} id 要求ID
+     * @param {Function} settle resolveまたはrejectを呼び出す関数
+     */
+    settleRequest(id, settle) {
+        const request = this.requests.get(id);
+        this.requests.delete(id);
+        
+        settle();
+        
+        if (request.onSettled) {
+            request.onSettled();
+        }
+    }
+    
+    /**
+     * 待機中のすべての要求をエラーにする
+     * @private
+     * @param {Error} error
+     */
+    rejectAllRequests(error) {
+        Array.from(this.requests.keys()).forEach(id => {
+            const request = this.requests.get(id);
+            this.settleRequest(id, () => request.reject(error));
+        });
+    }
+    
+    /**
+     * ワーカーを終了し、実行中の要求を中止扱いにする
+     * （読み込んだモデルも破棄されるため、次の文字起こしの前に読み込み直す）
+     * @private
+     */
+    terminateWorker() {
+        if (!this.worker) return;
+        
+        this.worker.terminate();
+        this.worker = null;
+        this.rejectAllRequests(this.createAbortError());
+    }
+    
+    /**
+     * 中止を表すエラーを作成
+     * @private
+     * @returns {Error}
+     */
+    createAbortError() {
+        const error = new Error('文字起こしを中止しました');
+        error.name = 'AbortError';
+        return error;
+    }
+    
     /**
      * 文字起こし結果の後処理
+     * Whisperがチャンク（30秒）ごとに検出した言語を、その範囲に含まれるチャンクに付ける
+     * 置換ルールはチャンクごとのテキストと全体のテキストのそれぞれに適用する（単語はWhisperの出力のまま残す）
      * @private
-     * @param {Object} result Whisperからの生の結果
+     * @param {Object} result Whisperからの生の結果（languageWindowsとwordTimestampsはワーカーが追加）
+     * @param {string|null} language 指定された言語（結果に言語が含まれない場合に使用）
+     * @param {Array} rules compileReplacements()で変換した置換ルール
      * @returns {Object} 処理済みの結果
      */
-    postProcessTranscription(result) {
-        // 単語レベルのタイムスタンプがある場合はそれを使用
-        const chunks = result.chunks || [];
+    postProcessTranscription(result, language, rules = []) {
+        const languageWindows = result.languageWindows || [];
+        
+        // 単語単位の結果は文単位のチャンクにまとめ、単語のタイミングをチャンクに残す
+        const sourceChunks = result.wordTimestamps
+            ? this.groupWordsIntoChunks(result.chunks || [], languageWindows)
+            : (result.chunks || []);
+        
+        const chunks = sourceChunks.map(chunk => ({
+            ...chunk,
+            text: this.applyReplacements(chunk.text, rules),
+            language: this.findWindowLanguage(languageWindows, chunk.timestamp) || language || null
+        }));
         
         // 文単位のセグメントを取得
-        const text = result.text || '';
+        const text = this.applyReplacements(result.text, rules);
         
         // タイムスタンプがある場合は構造化された結果を返す
         if (chunks.length > 0) {
+            const languages = this.rankLanguages(chunks);
+            
             return {
                 text,
                 chunks,
-                language: result.language,
+                language: languages[0] || language,
+                languages,
                 duration: chunks.length > 0 ? chunks[chunks.length - 1].timestamp[1] : 0
             };
         }
         
         // タイムスタンプがない場合はテキストのみ返す
+        const detected = languageWindows.length > 0 ? languageWindows[0].language : null;
+        
         return {
             text,
             chunks: [],
-            language: result.language || 'ja',
+            language: detected || language || 'ja',
+            languages: detected ? [detected] : [],
             duration: 0
         };
     }
     
+    /**
+     * 単語単位の結果を文単位のチャンクにまとめる
+     * 文末記号、単語間の無音、言語の切り替わり、チャンクの最大長で区切る
+     * @private
+     * @param {Array} words Whisperの単語（{ text, timestamp }の配列、時刻順）
+     * @param {Array} languageWindows { start, end, language }の配列
+     * @returns {Array} { text, timestamp, words }の配列（wordsは{ text, timestamp }の配列）
+     */
+    groupWordsIntoChunks(words, languageWindows) {
+        const chunks = [];
+        let current = null;
+        let currentLanguage = null;
+        
+        words.forEach(word => {
+            const [start, end] = word.timestamp;
+            const wordEnd = end === null || end === undefined ? start : Math.max(start, end);
+            const wordLanguage = this.findWindowLanguage(languageWindows, word.timestamp);
+            
+            const isBoundary = !current ||
+                /[。．.!?！？]$/.test(current.text.trim()) ||
+                start - current.timestamp[1] >= this.sentencePauseThreshold ||
+                wordEnd - current.timestamp[0] > this.maxSentenceDuration ||
+                wordLanguage !== currentLanguage;
+            
+            if (isBoundary) {
+                current = { text: '', timestamp: [start, wordEnd], words: [] };
+                currentLanguage = wordLanguage;
+                chunks.push(current);
+            }
+            
+            current.text += word.text;
+            current.timestamp[1] = Math.max(current.timestamp[1], wordEnd);
+            current.words.push({ text: word.text, timestamp: [start, wordEnd] });
+        });
+        
+        return chunks
+            .map(chunk => ({ ...chunk, text: chunk.text.trim() }))
+            .filter(chunk => chunk.text);
+    }
+    
+    /**
+     * チャンクの中央の時刻を含む区間の言語を求める
+     * @private
+     * @param {Array} languageWindows { start, end, language }の配列（時刻順）
+     * @param {Array<number>} timestamp チャンクの[開始, 終了]（終了はnullのことがある）
+     * @returns {string|null} 言語コード
+     */
+    findWindowLanguage(languageWindows, timestamp) {
+        if (languageWindows.length === 0) {
+            return null;
+        }
+        
+        const [start, end] = timestamp;
+        const middle = end === null || end === undefined ? start : (start + end) / 2;
+        
+        // 区間の外（末尾など）は直前の区間の言語とする
+        let found = languageWindows[0];
+        for (const languageWindow of languageWindows) {
+            if (languageWindow.start > middle) break;
+            found = languageWindow;
+        }
+        
+        return found.language;
+    }
+    
+    /**
+     * チャンクに含まれる言語を、発話時間の長い順に並べる
+     * @param {Array} chunks languageを含むチャンク
+     * @returns {Array<string>} 言語コード（先頭が主な言語）
+     */
+    rankLanguages(chunks) {
+        const durations = new Map();
+        
+        chunks.forEach(chunk => {
+            if (!chunk.language) return;
+            
+            const [start, end] = chunk.timestamp;
+            const duration = end === null || end === undefined ? 0 : Math.max(0, end - start);
+            durations.set(chunk.language, (durations.get(chunk.language) || 0) + duration);
+        });
+        
+        return Array.from(durations.keys()).sort((a, b) => durations.get(b) - durations.get(a));
+    }
+    
     /**
      * 現在のモデルIDを取得
      * @returns {string} モデルID
@@ -226,5 +661,7 @@ class SpeechRecognizer {
     }
 }
 
-// pipeline関数のエイリアス
-const { pipeline } = window.transformers || {};
+// Node.js（tests/）から読み込めるようにする
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechRecognizer };
+}
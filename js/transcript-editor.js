@@ -0,0 +1,435 @@
+/**
+ * 文字起こし編集モジュール
+ * - 文字起こしセグメントの編集（テキスト、英訳、開始・終了時間、話者、分割、結合）
+ * - 元に戻す/やり直しの履歴管理
+ * - 編集結果のデータベースへの自動保存
+ */
+class TranscriptEditor {
+    /**
+     * @param {AudioDatabase} database データベース
+     * @param {Object} options オプション
+     * @param {number} options.autosaveDelay 最後の編集から自動保存までの待ち時間（ミリ秒）
+     * @param {number} options.maxHistory 元に戻せる操作の最大数
+     */
+    constructor(database, options = {}) {
+        this.database = database;
+        this.autosaveDelay = options.autosaveDelay || 1000;
+        this.maxHistory = options.maxHistory || 100;
+        
+        // 編集中の録音とセグメント
+        this.recordingId = null;
+        this.segments = [];
+        
+        // 編集履歴（操作前のセグメントのスナップショット）
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // 自動保存
+        this.saveTimerId = null;
+        this.savePromise = null;
+        
+        // イベントコールバック
+        this.onChange = null;
+        this.onSaveStateChange = null;
+    }
+    
+    /**
+     * 編集対象の文字起こし結果を読み込む（履歴はリセット）
+     * @param {number|null} recordingId 録音ID（nullの場合は保存しない）
+     * @param {Array} segments 文字起こしセグメント
+     */
+    load(recordingId, segments) {
+        // 前の録音の未保存の編集は保存しておく
+        if (this.saveTimerId) {
+            this.flush();
+        }
+        
+        this.recordingId = recordingId;
+        this.segments = this.cloneSegments(segments || []);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * 現在のセグメントを取得
+     * @returns {Array}
+     */
+    getSegments() {
+        return this.segments;
+    }
+    
+    /**
+     * 元に戻せるかどうか
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * やり直せるかどうか
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * 直前の操作を元に戻す
+     */
+    undo() {
+        if (!this.canUndo()) return;
+        
+        this.redoStack.push(this.segments);
+        this.segments = this.undoStack.pop();
+        this.commit();
+    }
+    
+    /**
+     * 元に戻した操作をやり直す
+     */
+    redo() {
+        if (!this.canRedo()) return;
+        
+        this.undoStack.push(this.segments);
+        this.segments = this.redoStack.pop();
+        this.commit();
+    }
+    
+    /**
+     * セグメントの内容を変更
+     * @param {number} index セグメントのインデックス
+     * @param {Object} changes 変更する項目（text, translation, start, end, speaker, bookmarked）
+     */
+    updateSegment(index, changes) {
+        const segment = this.getSegment(index);
+        const updated = { ...segment, ...changes };
+        
+        // ブックマークしていない発言には項目自体を持たせない
+        if (!updated.bookmarked) {
+            delete updated.bookmarked;
+        }
+        
+        if (typeof updated.text === 'string') {
+            updated.text = updated.text.trim();
+        }
+        if (typeof updated.translation === 'string') {
+            updated.translation = updated.translation.trim();
+        }
+        
+        // 単語のタイミングは元のテキストのものなので、テキストを変更したら破棄する
+        if (updated.text !== segment.text) {
+            delete updated.words;
+        }
+        
+        this.validateTimes(updated.start, updated.end);
+        
+        // 変更がなければ履歴に積まない
+        if (['text', 'translation', 'start', 'end', 'speaker', 'bookmarked'].every(key => updated[key] === segment[key])) {
+            return;
+        }
+        
+        this.applyEdit(segments => {
+            segments[index] = updated;
+        });
+    }
+    
+    /**
+     * セグメントをテキストの指定位置で2つに分割
+     * 分割位置の時間は文字数の比率から推定する（英訳も同じ比率で単語の区切りで分ける）
+     * 単語のタイミングがある場合は、分割位置までの単語の終了時間を分割位置の時間にする
+     * @param {number} index セグメントのインデックス
+     * @param {number} offset 分割する文字位置
+     */
+    splitSegment(index, offset) {
+        const segment = this.getSegment(index);
+        const text = segment.text;
+        
+        if (offset <= 0 || offset >= text.length) {
+            throw new Error('テキストの途中に分割位置を指定してください');
+        }
+        
+        const ratio = offset / text.length;
+        let splitTime = Math.round((segment.start + (segment.end - segment.start) * ratio) * 100) / 100;
+        
+        // 分割位置より前から始まる単語を前半とする
+        let firstWords = null;
+        let secondWords = null;
+        if (segment.words && segment.words.length > 1) {
+            const splitIndex = this.findWordSplitIndex(segment.words, text, offset);
+            const wordSplitTime = splitIndex > 0 && splitIndex < segment.words.length
+                ? segment.words[splitIndex - 1].end
+                : null;
+            
+            if (wordSplitTime !== null && wordSplitTime > segment.start && wordSplitTime < segment.end) {
+                firstWords = segment.words.slice(0, splitIndex);
+                secondWords = segment.words.slice(splitIndex);
+                splitTime = wordSplitTime;
+            }
+        }
+        
+        const first = { ...segment, text: text.slice(0, offset).trim(), end: splitTime };
+        const second = { ...segment, text: text.slice(offset).trim(), start: splitTime };
+        
+        // ブックマークは前半にだけ残す
+        delete second.bookmarked;
+        
+        if (firstWords) {
+            first.words = firstWords;
+            second.words = secondWords;
+        } else {
+            delete first.words;
+            delete second.words;
+        }
+        
+        if (segment.translation) {
+            const words = segment.translation.split(/\s+/);
+            const splitWord = Math.round(words.length * ratio);
+            first.translation = words.slice(0, splitWord).join(' ');
+            second.translation = words.slice(splitWord).join(' ');
+        }
+        
+        this.applyEdit(segments => {
+            segments.splice(index, 1, first, second);
+        });
+    }
+    
+    /**
+     * セグメントを次のセグメントと結合
+     * @param {number} index セグメントのインデックス
+     */
+    mergeWithNext(index) {
+        const segment = this.getSegment(index);
+        const next = this.segments[index + 1];
+        
+        if (!next) {
+            throw new Error('結合する次のセグメントがありません');
+        }
+        
+        const merged = {
+            ...segment,
+            text: this.joinText(segment.text, next.text),
+            start: Math.min(segment.start, next.start),
+            end: Math.max(segment.end, next.end)
+        };
+        
+        // 単語のタイミングは両方にある場合のみ残す
+        if (segment.words && next.words) {
+            merged.words = segment.words.concat(next.words);
+        } else {
+            delete merged.words;
+        }
+        
+        if (next.bookmarked) {
+            merged.bookmarked = true;
+        }
+        
+        if (segment.translation || next.translation) {
+            // 英訳は英文のため常に空白でつなぐ
+            merged.translation = [segment.translation, next.translation].filter(Boolean).join(' ');
+        }
+        
+        this.applyEdit(segments => {
+            segments.splice(index, 2, merged);
+        });
+    }
+    
+    /**
+     * セグメント全体を置き換える（一括操作用、元に戻すことができる）
+     * @param {Array} segments 新しいセグメント
+     */
+    replaceSegments(segments) {
+        this.applyEdit(current => {
+            current.splice(0, current.length, ...this.cloneSegments(segments));
+        });
+    }
+    
+    /**
+     * 未保存の編集をすぐに保存
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.saveTimerId) {
+            return this.savePromise || Promise.resolve();
+        }
+        
+        clearTimeout(this.saveTimerId);
+        this.saveTimerId = null;
+        
+        return this.save();
+    }
+    
+    /**
+     * 操作前の状態を履歴に積んでから編集を適用
+     * @private
+     * @param {Function} edit セグメントの配列（コピー）を変更する関数
+     */
+    applyEdit(edit) {
+        const next = this.cloneSegments(this.segments);
+        edit(next);
+        
+        this.undoStack.push(this.segments);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        
+        this.segments = next;
+        this.commit();
+    }
+    
+    /**
+     * 変更を通知して自動保存を予約
+     * @private
+     */
+    commit() {
+        if (this.onChange) {
+            this.onChange(this.segments);
+        }
+        
+        this.scheduleSave();
+    }
+    
+    /**
+     * 自動保存を予約（連続した編集はまとめて保存）
+     * @private
+     */
+    scheduleSave() {
+        if (this.recordingId === null) return;
+        
+        if (this.saveTimerId) {
+            clearTimeout(this.saveTimerId);
+        }
+        
+        this.notifySaveState('pending');
+        this.saveTimerId = setTimeout(() => {
+            this.saveTimerId = null;
+            this.save();
+        }, this.autosaveDelay);
+    }
+    
+    /**
+     * データベースに保存
+     * @private
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (this.recordingId === null) return;
+        
+        // 保存中に別の録音が読み込まれても、予約した時点の内容を保存する
+        const recordingId = this.recordingId;
+        const segments = this.segments;
+        
+        // 保存は順番に行う
+        const previous = this.savePromise || Promise.resolve();
+        this.savePromise = previous.then(async () => {
+            this.notifySaveState('saving');
+            try {
+                await this.database.saveTranscript(recordingId, segments);
+                this.notifySaveState('saved');
+            } catch (error) {
+                console.error('文字起こし結果の保存に失敗しました:', error);
+                this.notifySaveState('error');
+            }
+        });
+        
+        return this.savePromise;
+    }
+    
+    /**
+     * 保存状態の変化を通知
+     * @private
+     * @param {string} state 'pending' | 'saving' | 'saved' | 'error'
+     */
+    notifySaveState(state) {
+        if (this.onSaveStateChange) {
+            this.onSaveStateChange(state);
+        }
+    }
+    
+    /**
+     * インデックスのセグメントを取得
+     * @private
+     * @param {number} index
+     * @returns {Object}
+     */
+    getSegment(index) {
+        const segment = this.segments[index];
+        if (!segment) {
+            throw new Error('指定されたセグメントが見つかりません');
+        }
+        return segment;
+    }
+    
+    /**
+     * 開始・終了時間が正しいかを検証
+     * @private
+     * @param {number} start 開始時間（秒）
+     * @param {number} end 終了時間（秒）
+     */
+    validateTimes(start, end) {
+        if (!Number.isFinite(start) || !Number.isFinite(end)) {
+            throw new Error('時間の形式が正しくありません');
+        }
+        
+        if (start < 0 || end <= start) {
+            throw new Error('終了時間は開始時間より後にしてください');
+        }
+    }
+    
+    /**
+     * セグメントの配列をコピー
+     * @private
+     * @param {Array} segments
+     * @returns {Array}
+     */
+    cloneSegments(segments) {
+        return segments.map(segment => ({ ...segment }));
+    }
+    
+    /**
+     * テキストの分割位置に対応する単語の位置を求める
+     * 単語を順にテキストの中で探し、分割位置より前から始まる単語の数を返す
+     * @private
+     * @param {Array} words { text, start, end }の配列
+     * @param {string} text セグメントのテキスト
+     * @param {number} offset 分割する文字位置
+     * @returns {number} 後半の最初の単語のインデックス（対応が取れない場合は-1）
+     */
+    findWordSplitIndex(words, text, offset) {
+        let position = 0;
+        
+        for (let i = 0; i < words.length; i++) {
+            const wordText = words[i].text.trim();
+            const found = wordText ? text.indexOf(wordText, position) : position;
+            
+            // テキストが編集されていて単語が見つからない場合は対応が取れない
+            if (found < 0) {
+                return -1;
+            }
+            
+            if (found >= offset) {
+                return i;
+            }
+            position = found + wordText.length;
+        }
+        
+        return words.length;
+    }
+    
+    /**
+     * テキストを連結（英数字同士の場合のみ空白を挟む）
+     * @private
+     * @param {string} a
+     * @param {string} b
+     * @returns {string}
+     */
+    joinText(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        
+        return /[A-Za-z0-9]$/.test(a) && /^[A-Za-z0-9]/.test(b)
+            ? `${a} ${b}`
+            : `${a}${b}`;
+    }
+}
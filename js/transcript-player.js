@@ -0,0 +1,142 @@
+/**
+ * 文字起こし再生モジュール
+ * - 録音データの再生と、再生位置に対応する文字起こしセグメントの通知
+ * - 再生速度の変更や少し前に戻る操作を提供
+ */
+class TranscriptPlayer {
+    /**
+     * @param {HTMLAudioElement} audioElement 再生に使うaudio要素
+     */
+    constructor(audioElement) {
+        this.audio = audioElement;
+        
+        // 再生中の録音データのURL
+        this.objectUrl = null;
+        
+        // 再生位置と照合するセグメント
+        this.segments = [];
+        this.activeIndex = -1;
+        
+        // 選択できる再生速度の範囲
+        this.minPlaybackRate = 0.5;
+        this.maxPlaybackRate = 2.0;
+        
+        // イベントコールバック
+        this.onActiveSegmentChange = null;
+        
+        this.audio.addEventListener('timeupdate', this.handleTimeUpdate.bind(this));
+        this.audio.addEventListener('seeked', this.handleTimeUpdate.bind(this));
+    }
+    
+    /**
+     * 録音データを読み込む
+     * @param {Blob} blob 音声データ
+     */
+    load(blob) {
+        this.unload();
+        
+        this.objectUrl = URL.createObjectURL(blob);
+        this.audio.src = this.objectUrl;
+        this.audio.load();
+    }
+    
+    /**
+     * 録音データを解放
+     */
+    unload() {
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        
+        this.setActiveIndex(-1);
+    }
+    
+    /**
+     * 録音データが読み込まれているかどうか
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.objectUrl !== null;
+    }
+    
+    /**
+     * 再生位置と照合するセグメントを設定
+     * @param {Array} segments 文字起こしセグメント
+     */
+    setSegments(segments) {
+        this.segments = segments || [];
+        this.activeIndex = -1;
+        this.handleTimeUpdate();
+    }
+    
+    /**
+     * 指定した時間に移動して再生
+     * @param {number} time 再生位置（秒）
+     */
+    playFrom(time) {
+        if (!this.isLoaded()) return;
+        
+        this.audio.currentTime = Math.max(0, time);
+        this.audio.play().catch(error => {
+            console.error('再生に失敗しました:', error);
+        });
+    }
+    
+    /**
+     * 指定した秒数だけ戻る
+     * @param {number} seconds 戻る秒数
+     */
+    skipBack(seconds = 5) {
+        if (!this.isLoaded()) return;
+        
+        this.audio.currentTime = Math.max(0, this.audio.currentTime - seconds);
+    }
+    
+    /**
+     * 再生速度を設定
+     * @param {number} rate 再生速度（0.5〜2.0）
+     */
+    setPlaybackRate(rate) {
+        this.audio.playbackRate = Math.max(this.minPlaybackRate, Math.min(this.maxPlaybackRate, rate));
+    }
+    
+    /**
+     * 再生位置の変化を処理
+     * @private
+     */
+    handleTimeUpdate() {
+        if (!this.isLoaded()) return;
+        
+        this.setActiveIndex(this.findSegmentIndex(this.audio.currentTime));
+    }
+    
+    /**
+     * 指定した時間を含むセグメントのインデックスを検索
+     * @private
+     * @param {number} time 時間（秒）
+     * @returns {number} セグメントのインデックス（該当なしは-1）
+     */
+    findSegmentIndex(time) {
+        return this.segments.findIndex(segment => time >= segment.start && time < segment.end);
+    }
+    
+    /**
+     * 再生中のセグメントを更新し、変化があれば通知
+     * @private
+     * @param {number} index
+     */
+    setActiveIndex(index) {
+        if (index === this.activeIndex) return;
+        
+        this.activeIndex = index;
+        
+        if (this.onActiveSegmentChange) {
+            this.onActiveSegmentChange(index);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * 話者分離モジュールのテスト
+ * - 単語ごとの話者判定でチャンクを分割しても、用語集・置換ルールによる置換が失われないこと
+ *
+ * 使い方:
+ *   node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpeakerEmbeddingExtractor } = require('../js/speaker-embedding.js');
+const { SpeechRecognizer } = require('../js/speech-recognition.js');
+
+// ブラウザではグローバルに読み込まれるクラス
+global.SpeakerEmbeddingExtractor = SpeakerEmbeddingExtractor;
+const { SpeakerDiarization } = require('../js/speaker-diarization.js');
+
+const glossary = [{ term: 'AI', reading: 'えーあい' }];
+const replacements = [{ pattern: '話をします', replacement: 'お話しします', regex: false }];
+
+/**
+ * 単語のタイミングを含むWhisperの結果を、置換ルールを適用した文単位のチャンクに変換
+ * @param {SpeechRecognizer} recognizer
+ * @param {Array} words [text, start, end]の配列
+ * @returns {Array} チャンク
+ */
+function createChunks(recognizer, words) {
+    const rules = recognizer.compileReplacements(glossary, replacements);
+    const result = recognizer.postProcessTranscription({
+        text: words.map(([text]) => text).join(''),
+        chunks: words.map(([text, start, end]) => ({ text, timestamp: [start, end] })),
+        wordTimestamps: true
+    }, 'ja', rules);
+    
+    return result.chunks;
+}
+
+/**
+ * 0.1秒ごとのフレームに話者ラベルを付ける
+ * @param {number} duration 長さ（秒）
+ * @param {number} changeTime この時刻以降をクラスタ1とする（秒）
+ * @returns {Array} { time, cluster }の配列
+ */
+function createFrames(duration, changeTime) {
+    const frames = [];
+    for (let i = 0; i * 0.1 <= duration; i++) {
+        const time = Math.round(i * 10) / 100;
+        frames.push({ time, cluster: time < changeTime ? 0 : 1 });
+    }
+    return frames;
+}
+
+const words = [
+    ['えーあい', 0.0, 0.6],
+    ['の', 0.6, 0.8],
+    ['話をします', 0.8, 2.4],
+    ['えーあい', 2.4, 3.2],
+    ['ですね', 3.2, 4.2]
+];
+
+test('話者が交代しないチャンクは置換済みのテキストをそのまま使う', () => {
+    const recognizer = new SpeechRecognizer();
+    const diarization = new SpeakerDiarization();
+    diarization.setReplacementRules(recognizer.compileReplacements(glossary, replacements));
+    
+    const chunks = createChunks(recognizer, words);
+    const segments = diarization.assignSpeakersToSegments(createFrames(4.2, Infinity), chunks);
+    
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual(segments.map(segment => segment.text), ['AIのお話ししますAIですね']);
+    assert.strictEqual(segments[0].speaker, 'A');
+});
+
+test('話者の交代で分割した発話にも置換ルールを適用する', () => {
+    const recognizer = new SpeechRecognizer();
+    const diarization = new SpeakerDiarization();
+    diarization.setReplacementRules(recognizer.compileReplacements(glossary, replacements));
+    
+    const chunks = createChunks(recognizer, words);
+    const segments = diarization.assignSpeakersToSegments(createFrames(4.2, 2.4), chunks);
+    
+    assert.deepStrictEqual(
+        segments.map(segment => [segment.speaker, segment.text]),
+        [['A', 'AIのお話しします'], ['B', 'AIですね']]
+    );
+    
+    // 単語のテキストは認識結果のまま残す
+    assert.deepStrictEqual(segments[1].words.map(word => word.text), ['えーあい', 'ですね']);
+});
+
+test('同じ話者の発話をまとめるときは英数字同士の場合だけ空白を挟む', () => {
+    const diarization = new SpeakerDiarization();
+    const segments = diarization.optimizeSegments([
+        { text: '本日の議題です。', start: 0, end: 2, speaker: 'A' },
+        { text: '次にAI', start: 2.2, end: 3, speaker: 'A' },
+        { text: 'model について', start: 3.1, end: 4, speaker: 'A' }
+    ]);
+    
+    assert.deepStrictEqual(segments.map(segment => segment.text), ['本日の議題です。次にAI model について']);
+});
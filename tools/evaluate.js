@@ -0,0 +1,162 @@
+/**
+ * 話者分離・文字起こしの精度評価ツール
+ * - フィクスチャのフォルダ内の正解と仮説の組をすべて評価し、DERとCERを表示
+ *
+ * 使い方:
+ *   node tools/evaluate.js <フィクスチャのフォルダ> [--collar 秒] [--json 出力ファイル]
+ *
+ * フィクスチャのファイル名:
+ *   <名前>.ref.rttm または <名前>.ref.json  正解（RTTMまたはJSON形式のセッション）
+ *   <名前>.hyp.json または <名前>.hyp.rttm  仮説（アプリからエクスポートした結果）
+ *   <名前>.ref.txt                          CER用の正解テキスト（省略時は正解のJSONのテキスト）
+ */
+const fs = require('fs');
+const path = require('path');
+const { DiarizationEvaluator } = require('../js/evaluation.js');
+
+/**
+ * コマンドライン引数を解析
+ * @param {Array<string>} args
+ * @returns {Object} { dir, collar, jsonPath }
+ */
+function parseArgs(args) {
+    const options = { dir: null, collar: 0, jsonPath: null };
+    
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--collar') {
+            options.collar = parseFloat(args[++i]);
+        } else if (args[i] === '--json') {
+            options.jsonPath = args[++i];
+        } else {
+            options.dir = args[i];
+        }
+    }
+    
+    if (!options.dir || !Number.isFinite(options.collar)) {
+        throw new Error('使い方: node tools/evaluate.js <フィクスチャのフォルダ> [--collar 秒] [--json 出力ファイル]');
+    }
+    
+    return options;
+}
+
+/**
+ * フォルダ内の正解と仮説の組を探す
+ * @param {string} dir
+ * @returns {Array} { name, refPath, hypPath, refTextPath }の配列（名前順）
+ */
+function findFixtures(dir) {
+    const files = fs.readdirSync(dir);
+    const findFile = (name, kind, extensions) => {
+        const found = extensions.map(ext => `${name}.${kind}.${ext}`).find(file => files.includes(file));
+        return found ? path.join(dir, found) : null;
+    };
+    
+    const names = Array.from(new Set(
+        files
+            .map(file => /^(.+)\.ref\.(rttm|json)$/.exec(file))
+            .filter(Boolean)
+            .map(match => match[1])
+    )).sort();
+    
+    return names.map(name => ({
+        name,
+        refPath: findFile(name, 'ref', ['rttm', 'json']),
+        hypPath: findFile(name, 'hyp', ['json', 'rttm']),
+        refTextPath: findFile(name, 'ref', ['txt'])
+    }));
+}
+
+/**
+ * 割合を百分率の文字列に変換
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * すべてのフィクスチャを評価して結果を表示
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const evaluator = new DiarizationEvaluator({ collar: options.collar });
+    const fixtures = findFixtures(options.dir);
+    
+    if (fixtures.length === 0) {
+        throw new Error(`正解のファイル（*.ref.rttm, *.ref.json）が見つかりません: ${options.dir}`);
+    }
+    
+    const results = [];
+    let hasError = false;
+    
+    fixtures.forEach(fixture => {
+        if (!fixture.hypPath) {
+            console.error(`${fixture.name}: 仮説のファイル（${fixture.name}.hyp.json, ${fixture.name}.hyp.rttm）がありません`);
+            hasError = true;
+            return;
+        }
+        
+        try {
+            const reference = evaluator.parseAnnotation(fs.readFileSync(fixture.refPath, 'utf8'));
+            const hypothesis = evaluator.parseAnnotation(fs.readFileSync(fixture.hypPath, 'utf8'));
+            const evaluateOptions = fixture.refTextPath
+                ? { referenceText: fs.readFileSync(fixture.refTextPath, 'utf8') }
+                : {};
+            
+            results.push({ name: fixture.name, ...evaluator.evaluate(reference, hypothesis, evaluateOptions) });
+        } catch (error) {
+            console.error(`${fixture.name}: ${error.message}`);
+            hasError = true;
+        }
+    });
+    
+    // 全体の値は発話時間・文字数で重み付けして集計する
+    const sum = key => results.reduce((total, result) => total + result.diarization[key], 0);
+    const scoredSpeech = sum('scoredSpeech');
+    const transcriptions = results.map(result => result.transcription).filter(Boolean);
+    const referenceLength = transcriptions.reduce((total, t) => total + t.referenceLength, 0);
+    const errors = transcriptions.reduce((total, t) => total + t.substitutions + t.deletions + t.insertions, 0);
+    
+    const total = {
+        der: scoredSpeech > 0 ? (sum('missedSpeech') + sum('falseAlarm') + sum('confusion')) / scoredSpeech : 0,
+        missedSpeechRate: scoredSpeech > 0 ? sum('missedSpeech') / scoredSpeech : 0,
+        falseAlarmRate: scoredSpeech > 0 ? sum('falseAlarm') / scoredSpeech : 0,
+        confusionRate: scoredSpeech > 0 ? sum('confusion') / scoredSpeech : 0,
+        cer: referenceLength > 0 ? errors / referenceLength : null
+    };
+    
+    console.table(Object.fromEntries(results.map(result => [result.name, {
+        DER: formatPercent(result.diarization.der),
+        見逃し: formatPercent(result.diarization.missedSpeechRate),
+        誤検出: formatPercent(result.diarization.falseAlarmRate),
+        取り違え: formatPercent(result.diarization.confusionRate),
+        CER: formatPercent(result.transcription ? result.transcription.cer : null)
+    }]).concat([['全体', {
+        DER: formatPercent(total.der),
+        見逃し: formatPercent(total.missedSpeechRate),
+        誤検出: formatPercent(total.falseAlarmRate),
+        取り違え: formatPercent(total.confusionRate),
+        CER: formatPercent(total.cer)
+    }]])));
+    
+    if (options.jsonPath) {
+        const report = {
+            createdAt: new Date().toISOString(),
+            collar: options.collar,
+            total,
+            fixtures: results
+        };
+        fs.writeFileSync(options.jsonPath, JSON.stringify(report, null, 2));
+        console.log(`結果を保存しました: ${options.jsonPath}`);
+    }
+    
+    process.exitCode = hasError ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}